@@ -1,5 +1,29 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Upload, FileText, Send, Loader, User, Bot, XCircle, Sun, Moon, Book, Sparkles, Link as LinkIcon, Cpu, Globe, Code, Zap, Image as ImageIcon, Paperclip, FileSpreadsheet, FileType, CheckCircle, ListOrdered } from 'lucide-react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Upload, FileText, Send, Loader, User, Bot, XCircle, Sun, Moon, Book, Sparkles, Link as LinkIcon, Cpu, Globe, Code, Image as ImageIcon, Paperclip, FileSpreadsheet, FileType, ListOrdered, Settings, Download, Ban, Square, MessageSquarePlus, MessagesSquare, Search, GitBranch, Pencil, Trash2, FileJson, FileDown, Plus, RotateCcw, Table, Terminal, Shield, Scale, Briefcase, Landmark, Users, Mail, Wrench, Brain, Puzzle, ShieldCheck, ShieldAlert, Presentation, FileCode, ScanText, Activity, AlertTriangle, LifeBuoy } from 'lucide-react';
+import { PROVIDERS, isAbortError, loadLlmSettings, saveLlmSettings, resolveAgentConfig } from './lib/llmProviders';
+import { FAILURE_ACTIONS, StepFailedError, requestPlan, executePlan as runPlanSteps, downstreamSteps, loadPlanSettings, savePlanSettings, validatePlan, nextStepId, removeStep } from './lib/planner';
+import { buildKeywordIndex, hybridSearch, parseScopedQuery, RETRIEVAL_LIMITS, loadRetrievalSettings, normalizeRetrievalSettings, saveRetrievalSettings } from './lib/retrieval';
+import { formatCitation, CHUNKER_VERSION } from './lib/chunking';
+import { createWorkerPool, JobCancelledError } from './lib/workerPool';
+import { runInSandbox, toResultTable, formatLogs } from './lib/sandbox';
+import { generateAndRun, summarizeExecution } from './lib/codeAgent';
+import { buildTables, buildAnalysisPrompt, buildAnswerPrompt, tableText } from './lib/dataAnalysis';
+import { DEFAULT_SEARCH_SETTINGS, MAX_RESULTS_LIMITS, SEARCH_ADAPTERS, buildWebContext, loadSearchSettings, normalizeSearchSettings, saveSearchSettings, searchWeb, selectPassages, toWebSources } from './lib/webSearch';
+import { buildGroundedContext, buildVerificationPrompt, citedSources, highlightPassage, isDeclined, parseVerification, sourceLabel, splitClaims, verifyAnswer } from './lib/grounding';
+import { AGENT_COLORS, AGENT_ICONS, AGENT_INPUTS, BUILT_IN_AGENTS, INTERNAL_CALLERS, createAgentRegistry, createCustomAgent, exportCustomAgents, importCustomAgents, loadCustomAgents, saveCustomAgents, validateCustomAgent, withSystemPrompt } from './lib/agentRegistry';
+import { createIngestWorker, createSandboxWorker, defaultPoolSize } from './workers';
+import { DEFAULT_TITLE, EMPTY_MEMORY, buildConversationContext, createSession, deleteSession, deriveTitle, forkSession, listSessions, saveSession, searchSessions, sessionToJson, sessionToMarkdown, toStoredMessages, updateMemory, updateSession } from './lib/sessions';
+import { SUPPORTED_EXTENSIONS, detectFileType } from './lib/documentParsing';
+import { IMAGE_CAPTION_PROMPT, loadOcrSettings, saveOcrSettings } from './lib/ocr';
+import { formatCost, sessionTraceTotals, summarizeTrace, traceTimeline, traceToJson, tracedGenerateText } from './lib/tracing';
+import { RELIABILITY_LIMITS, createRateLimiter, createResilientGenerate, loadReliabilitySettings, normalizeReliabilitySettings, saveReliabilitySettings } from './lib/resilience';
+import { INJECTION_ACTIONS, LINK_POLICIES, checkLink, exportGuardrailPolicy, guardPrompt, importGuardrailPolicy, loadGuardrailSettings, redactText, saveGuardrailSettings, screenPassages, summarizeFindings, validateGuardrailSettings, wrapUntrusted } from './lib/guardrails';
+import { documentId, hashContent, loadKnowledgeBase, getDocument, saveDocument, deleteDocument, deleteOtherVersions, exportKnowledgeBase, importKnowledgeBase } from './lib/knowledgeStore';
+
+// Components for the icon names agents declare in the registry (AGENT_ICONS)
+const AGENT_ICON_COMPONENTS = { Bot, Book, Globe, Code, Sparkles, Image: ImageIcon, Table, Shield, Scale, Briefcase, Landmark, Users, Mail, Wrench, Brain };
+const MAX_IMAGE_QUERY_CHARS = 500; // text read from an attached image that is added to the KnowledgeAgent's search
+const GREETING = { role: 'model', parts: [{ text: "Hello! I am a multi-agent AI assistant. I can create and execute plans to answer complex questions. How can I help you?" }] };
 
 // --- MAIN APP COMPONENT ---
 export default function App() {
@@ -10,269 +34,577 @@ export default function App() {
     const [vectorStore, setVectorStore] = useState([]);
     const [attachedImage, setAttachedImage] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
-    const [isIndexing, setIsIndexing] = useState(false);
+    const [isImporting, setIsImporting] = useState(false);
     const [error, setError] = useState(null);
     const [isDarkMode, setIsDarkMode] = useState(true);
     const [modelStatus, setModelStatus] = useState({ ready: false, message: 'Initializing client-side AI...' });
+    const [llmSettings, setLlmSettings] = useState(loadLlmSettings);
+    const [retrievalSettings, setRetrievalSettings] = useState(loadRetrievalSettings);
+    const [planSettings, setPlanSettings] = useState(loadPlanSettings);
+    const [searchSettings, setSearchSettings] = useState(loadSearchSettings);
+    const [ocrSettings, setOcrSettings] = useState(loadOcrSettings);
+    const [reliabilitySettings, setReliabilitySettings] = useState(loadReliabilitySettings);
+    const [guardrailSettings, setGuardrailSettings] = useState(loadGuardrailSettings);
+    const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+    const [sessions, setSessions] = useState([]);
+    const [activeSessionId, setActiveSessionId] = useState(null);
+    const [memory, setMemory] = useState(EMPTY_MEMORY);
+    const [customAgents, setCustomAgents] = useState(loadCustomAgents);
+    const [isAgentsOpen, setIsAgentsOpen] = useState(false);
     const chatEndRef = useRef(null);
-    const pipelineRef = useRef(null);
-
-    // --- API & Model Constants ---
-    const GENERATIVE_MODEL_NAME = "gemini-2.5-flash-preview-05-20";
-    const API_KEY = process.env.REACT_APP_GEMINI_API_KEY || ""; // Get from environment variables
+    const workerPoolRef = useRef(null);
+    const abortControllerRef = useRef(null); // aborts the plan that is currently running
+    const indexingJobsRef = useRef(new Map()); // file name -> worker job id
+    const savedSessionRef = useRef({}); // messages and memory last written for the active conversation
+    const keywordIndex = useMemo(() => buildKeywordIndex(vectorStore), [vectorStore]);
+    const registry = useMemo(() => createAgentRegistry(customAgents), [customAgents]);
+    const traceTotals = useMemo(() => sessionTraceTotals(chatHistory), [chatHistory]);
+    // One limiter for every model call, so parallel steps share the concurrency cap and the per-minute budget
+    const resilientGenerate = useMemo(() => createResilientGenerate({ settings: reliabilitySettings, limiter: createRateLimiter(reliabilitySettings) }), [reliabilitySettings]);
 
     // --- Client-Side AI & Library Initialization ---
+    // Parsing and embedding run in a pool of Web Workers so the chat stays responsive while indexing
     useEffect(() => {
-        const initialize = async () => {
-            try {
-                const { pipeline, env } = await import('https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.1');
-                env.allowLocalModels = false;
-                pipelineRef.current = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2', {
-                    progress_callback: p => setModelStatus({ ready: false, message: `Loading model... ${Math.round(p.progress)}%` })
-                });
-                setModelStatus({ ready: true, message: 'Client-Side AI Ready' });
-            } catch (err) { console.error("Failed to initialize client-side model:", err); setError("Could not load the client-side AI model."); setModelStatus({ ready: false, message: 'Model failed to load' }); }
-        };
-        initialize();
+        const pool = createWorkerPool(createIngestWorker, defaultPoolSize());
+        workerPoolRef.current = pool;
+        pool.broadcast('warmup', {}, { onProgress: p => setModelStatus({ ready: false, message: `Loading model... ${Math.round(p.percent)}%` }) })
+            .then(() => setModelStatus({ ready: true, message: 'Client-Side AI Ready' }))
+            .catch(err => { if (err instanceof JobCancelledError) return; console.error("Failed to initialize client-side model:", err); setError("Could not load the client-side AI model."); setModelStatus({ ready: false, message: 'Model failed to load' }); });
+        return () => { pool.terminate(); workerPoolRef.current = null; };
     }, []);
 
-    // --- Orchestrator, Planner, and Agent Logic ---
-    const callPlanner = async (prompt, conversationHistory) => {
-        const historyStr = conversationHistory.map(m => `${m.role}: ${m.parts[0].text}`).join('\n');
-        const plannerPrompt = `
-You are an expert planning agent. Your job is to analyze a user's prompt and the recent conversation history, then create a step-by-step plan to fulfill the request.
-You have access to the following agents:
-- KnowledgeAgent: Searches through uploaded documents to answer questions.
-- WebSearchAgent: Searches the web for real-time information.
-- CodeGenerationAgent: Writes code in various programming languages.
-- ImageAnalysisAgent: Analyzes an attached image.
-- SummarizationAgent: Summarizes a given text or document.
-
-Based on the user's prompt, create a JSON plan. The plan should be an array of steps. Each step must have an "agent" and a "prompt".
-The "prompt" for a step can be the original user prompt, or it can be the output of a previous step, which you can represent with the placeholder "{{step_1_output}}", "{{step_2_output}}", etc.
-
-Conversation History:
-${historyStr}
-
-User Prompt: "${prompt}"
+    // --- Restore the persisted knowledge base ---
+    useEffect(() => {
+        loadKnowledgeBase().then(applyKnowledgeBase).catch(err => console.error("Failed to restore knowledge base:", err));
+    }, []);
+    const applyKnowledgeBase = ({ documents, chunks }) => {
+        const restoredNames = new Set(documents.map(d => d.name));
+        // Images keep the pixels they were uploaded with so they stay attachable; restored ones were never loaded in this tab
+        setUploadedFiles(prev => [
+            ...prev.filter(f => !restoredNames.has(f.name) && (f.type.startsWith('image/') || f.progress)),
+            ...documents.map(d => ({ id: d.id, name: d.name, type: d.type, hash: d.hash, textContent: d.textContent, tables: d.tables, content: prev.find(f => f.name === d.name)?.content })),
+        ]);
+        setVectorStore(chunks);
+    };
 
-Generate the JSON plan now.
-`;
-        const planJsonString = await callGeminiAPI({ prompt: plannerPrompt });
-        try {
-            // Sanitize the response to extract only the JSON part
-            const jsonMatch = planJsonString.match(/```json\n([\s\S]*?)\n```/);
-            if (jsonMatch && jsonMatch[1]) {
-                return JSON.parse(jsonMatch[1]);
-            }
-            return JSON.parse(planJsonString); // Fallback for raw JSON
-        } catch (e) {
-            console.error("Failed to parse plan:", e);
-            // Create a simple fallback plan
-            return [{ agent: 'WebSearchAgent', prompt }];
-        }
+    // --- Conversation Sessions ---
+    useEffect(() => {
+        let cancelled = false;
+        const restore = (stored) => {
+            if (cancelled) return;
+            const sessionsToShow = stored.length > 0 ? stored : [createSession({ messages: [GREETING] })];
+            setSessions(sessionsToShow);
+            openSession(sessionsToShow[0]);
+        };
+        listSessions().then(restore).catch(err => { console.error("Failed to restore conversations:", err); restore([]); });
+        return () => { cancelled = true; };
+    }, []);
+    // Saves the active conversation once a run has settled. A new conversation is only stored once it has a question.
+    useEffect(() => {
+        const session = sessions.find(s => s.id === activeSessionId);
+        const saved = savedSessionRef.current;
+        if (!session || isLoading || (saved.messages === chatHistory && saved.memory === memory)) return;
+        savedSessionRef.current = { messages: chatHistory, memory };
+        if (!chatHistory.some(m => m.role === 'user')) return;
+        const updated = { ...session, messages: toStoredMessages(chatHistory), memory, updatedAt: Date.now() };
+        setSessions(prev => [updated, ...prev.filter(s => s.id !== updated.id)]);
+        saveSession(updated).catch(err => console.error("Failed to save conversation:", err));
+    }, [sessions, chatHistory, memory, isLoading, activeSessionId]);
+    const openSession = (session) => {
+        savedSessionRef.current = { messages: session.messages, memory: session.memory };
+        setActiveSessionId(session.id); setChatHistory(session.messages); setMemory(session.memory || EMPTY_MEMORY); setError(null);
+    };
+    const startNewSession = () => {
+        const draft = sessions.find(s => !s.messages.some(m => m.role === 'user'));
+        if (draft) { openSession(draft); return; }
+        const session = createSession({ messages: [GREETING] });
+        setSessions(prev => [session, ...prev]);
+        openSession(session);
+    };
+    const renameSession = (id, title) => {
+        setSessions(prev => prev.map(s => s.id === id ? { ...s, title } : s));
+        updateSession(id, { title }).catch(err => console.error("Failed to rename conversation:", err));
+    };
+    const removeSession = (id) => {
+        deleteSession(id).catch(err => console.error("Failed to delete conversation:", err));
+        const remaining = sessions.filter(s => s.id !== id);
+        setSessions(remaining);
+        if (id !== activeSessionId) return;
+        if (remaining.length > 0) openSession(remaining[0]);
+        else { const session = createSession({ messages: [GREETING] }); setSessions([session]); openSession(session); }
+    };
+    const forkFromMessage = (messageIndex) => {
+        const active = sessions.find(s => s.id === activeSessionId);
+        const fork = forkSession({ ...active, messages: toStoredMessages(chatHistory), memory }, messageIndex);
+        setSessions(prev => [fork, ...prev]);
+        saveSession(fork).catch(err => console.error("Failed to save conversation:", err));
+        openSession(fork);
+    };
+    const exportSession = (id, format) => {
+        const stored = sessions.find(s => s.id === id);
+        const session = id === activeSessionId ? { ...stored, messages: chatHistory, memory } : stored;
+        const baseName = toFileBaseName(session.title);
+        if (format === 'json') downloadFile(JSON.stringify(sessionToJson(session), null, 2), `${baseName}.json`, 'application/json');
+        else downloadFile(sessionToMarkdown(session), `${baseName}.md`, 'text/markdown');
+    };
+    // The whole conversation's traces, or one turn's, for attaching to a bug report
+    const exportTraces = (turnId = null) => {
+        const session = sessions.find(s => s.id === activeSessionId);
+        const fileName = `${toFileBaseName(session?.title)}-trace${turnId ? `-${turnId}` : ''}.json`;
+        downloadFile(JSON.stringify(traceToJson({ session, messages: chatHistory, turnId }), null, 2), fileName, 'application/json');
     };
 
-    const executePlan = async (plan) => {
-        let stepOutputs = {};
-        for (let i = 0; i < plan.length; i++) {
-            const step = plan[i];
-            let currentPrompt = step.prompt;
+    // --- Orchestrator, Planner, and Agent Logic ---
+    const callPlanner = async (prompt, history, { signal, onTrace, onGuardrail }) => requestPlan({ prompt, history, agents: registry.agents, generate: plannerPrompt => callLLM({ agent: 'Planner', prompt: plannerPrompt, signal, onTrace, onGuardrail }) });
 
-            // Substitute outputs from previous steps
-            for (const key in stepOutputs) {
-                currentPrompt = currentPrompt.replace(`{{${key}}}`, stepOutputs[key]);
-            }
-            
-            setChatHistory(prev => [...prev, { role: 'model', agent: step.agent, thinking: true, step: { current: i + 1, total: plan.length, task: currentPrompt } }]);
-            
-            const agentResponse = await callAgent(step.agent, currentPrompt);
-            stepOutputs[`step_${i + 1}_output`] = agentResponse.parts[0].text;
+    // Calls made while a plan runs are added to its message's trace as they finish
+    const appendTrace = (messageId, entry) => setChatHistory(prev => prev.map(m => m.id === messageId ? { ...m, trace: [...(m.trace || []), entry] } : m));
+    const updateMessage = (id, changes) => setChatHistory(prev => prev.map(m => m.id === id ? { ...m, ...changes } : m));
+    // Step messages are keyed `${planMessageId}:${stepId}`, so a retried step replaces its earlier answer in place.
+    // Steps with an output in `reuse` are not run again. A step that fails for good becomes an error card; whether
+    // the plan goes on without it is up to the step's failure policy.
+    const executePlan = async (planMessageId, plan, reuse, signal) => {
+        const replaceStepMessage = (id, message) => setChatHistory(prev => prev.map(m => m.id === id ? message : m));
+        const onStepFailed = (step, err, outcome) => {
+            if (outcome !== 'skipped' && outcome !== 'aborted') return; // the next attempt replaces the message
+            const id = `${planMessageId}:${step.id}`;
+            const error = { title: outcome === 'skipped' ? `${step.agent} failed; the plan went on without this step` : `${step.agent} failed; the plan was stopped`, message: err.message, attempts: err.attempts };
+            setChatHistory(prev => prev.map(m => m.id === id ? { id, planId: planMessageId, role: 'model', agent: step.agent, parts: [{ text: `${error.title}: ${err.message}` }], error, step: m.step } : m));
+        };
+        await runPlanSteps(plan, async (step, currentPrompt, recovery) => {
+            const id = `${planMessageId}:${step.id}`;
+            const stepInfo = { id: step.id, current: plan.findIndex(s => s.id === step.id) + 1, total: plan.length, task: currentPrompt };
+            const thinking = { id, planId: planMessageId, role: 'model', agent: step.agent, thinking: true, step: stepInfo, recovery };
+            setChatHistory(prev => (prev.some(m => m.id === id) ? prev.map(m => m.id === id ? thinking : m) : [...prev, thinking]));
 
-            // Replace the "thinking" message with the final result of the step
-            setChatHistory(prev => [...prev.slice(0, -1), { ...agentResponse, finalStep: i === plan.length - 1 }]);
-        }
+            // Render the answer progressively as tokens arrive; a retried model call starts the answer over
+            let partial = '';
+            const onToken = (delta) => { partial += delta; replaceStepMessage(id, { id, planId: planMessageId, role: 'model', agent: step.agent, parts: [{ text: partial }], streaming: true, step: stepInfo }); };
+            const onRetry = (retry) => { partial = ''; replaceStepMessage(id, { ...thinking, retry }); };
+            const guardrails = [];
+            try {
+                const agentResponse = await callAgent(step.agent, currentPrompt, { signal, onToken, onRetry, onTrace: entry => appendTrace(planMessageId, { ...entry, stepId: step.id }), onGuardrail: finding => guardrails.push(finding) });
+                const output = agentResponse.parts[0].text;
+                // Replace this step's message with its result; parallel steps finish in any order
+                setChatHistory(prev => prev.map(m => {
+                    if (m.id === id) return { ...agentResponse, id, planId: planMessageId, step: stepInfo, finalStep: !plan.some(s => s.dependsOn.includes(step.id)), ...(recovery && { recovered: recovery }), ...(guardrails.length > 0 && { guardrails }) };
+                    if (m.id === planMessageId) return { ...m, outputs: { ...m.outputs, [step.id]: output } };
+                    return m;
+                }));
+                return output;
+            } catch (err) {
+                if (isAbortError(err)) replaceStepMessage(id, { id, planId: planMessageId, role: 'model', agent: step.agent, parts: [{ text: partial }], incomplete: true, step: stepInfo });
+                throw err;
+            }
+        }, { signal, outputs: reuse, failurePolicy: planSettings.failurePolicy, onStepFailed, wrapOutput: (output, stepId) => wrapUntrusted(output, `output of step ${stepId}`) });
     };
 
-    const callAgent = async (agent, prompt) => {
-        let response;
-        switch (agent) {
-            case 'KnowledgeAgent': response = await handleKnowledgeQuery(prompt); break;
-            case 'WebSearchAgent': response = await handleWebSearchQuery(prompt); break;
-            case 'CodeGenerationAgent': response = await handleCodeGenerationQuery(prompt); break;
-            case 'SummarizationAgent': response = await handleSummarizationQuery(prompt); break;
-            case 'ImageAnalysisAgent': response = await handleImageAnalysisQuery(prompt); break;
-            default: response = { role: 'model', agent, parts: [{ text: `Error: Unknown agent "${agent}".` }] };
-        }
-        return response;
+    const callAgent = async (agentName, prompt, ctx = {}) => {
+        const agent = registry.get(agentName);
+        const handler = agent && agentHandlers[agent.handler];
+        if (!handler) return { role: 'model', agent: agentName, parts: [{ text: `Error: Unknown agent "${agentName}".` }] };
+        return handler(agent, prompt, ctx);
     };
 
     // --- Agent Logic Handlers ---
-    const handleKnowledgeQuery = async (prompt) => {
-        const similarChunks = await findSimilarChunks(prompt);
-        if (similarChunks.length === 0) return { role: 'model', agent: 'KnowledgeAgent', parts: [{ text: "I couldn't find any relevant information in the uploaded documents to answer that." }]};
-        const context = similarChunks.map(c => `Source: ${c.fileName}\nContent:\n${c.chunk}`).join('\n\n---\n\n');
-        const augmentedPrompt = `Based *only* on the context below, answer the user's question.\n\n--- CONTEXT ---\n${context}\n--- END CONTEXT ---\n\nUser Question: "${prompt}"`;
-        const text = await callGeminiAPI({prompt: augmentedPrompt});
-        const sources = similarChunks.map(c => ({ fileName: c.fileName, chunk: c.chunk }));
-        return { role: 'model', agent: 'KnowledgeAgent', parts: [{ text }], sources };
-    };
-    const handleWebSearchQuery = async (prompt) => {
-        const searchPrompt = `You are a web search agent. Find relevant information for the query and provide a concise answer with 2-3 simulated markdown links. Query: "${prompt}"`;
-        const text = await callGeminiAPI({prompt: searchPrompt});
-        return { role: 'model', agent: 'WebSearchAgent', parts: [{ text }] };
-    };
-    const handleCodeGenerationQuery = async (prompt) => {
-        const codePrompt = `You are a code generation agent. Generate a code snippet for the request. Provide only the code in a markdown block. Request: "${prompt}"`;
-        const text = await callGeminiAPI({prompt: codePrompt});
-        return { role: 'model', agent: 'CodeGenerationAgent', parts: [{ text }] };
-    };
-    const handleSummarizationQuery = async (prompt) => {
+    // Each handler receives the agent's registry entry, the task and `ctx = { signal, onToken, onRetry, onTrace, onGuardrail }`,
+    // which it passes on to `callLLM` for streaming, cancellation, retry notices, tracing and guardrail findings.
+    // Errors are thrown to the step. The agent's system prompt comes first in every model request.
+    // Retrieved passages are screened for injections before they are labelled, so dropped ones leave no gap in [S#].
+    const retrieveContext = async (prompt, { onGuardrail = () => {} } = {}) => {
+        const screened = screenPassages(await findSimilarChunks(prompt), { textOf: c => c.chunk, describe: c => formatCitation(c.fileName, c.meta) }, guardrailSettings);
+        screened.findings.forEach(onGuardrail);
+        if (screened.items.length === 0) return null;
+        const sources = screened.items.map((c, i) => ({ label: sourceLabel(i), fileName: c.fileName, citation: formatCitation(c.fileName, c.meta), meta: c.meta, chunk: c.chunk, chunkIds: c.chunkIds, score: c.score, signals: c.signals, ...(c.injection && { injection: c.injection }) }));
+        return { context: wrapUntrusted(buildGroundedContext(sources), 'document passages'), sources };
+    };
+    const noDocumentsFound = (agent) => ({ role: 'model', agent: agent.name, parts: [{ text: "I couldn't find any relevant information in the uploaded documents to answer that." }] });
+    // Every claim of the answer is checked against the passages it cites; the agent declines rather than answering without support.
+    // An attached image goes to the model with the question, and the text read from it also guides the search.
+    const handleKnowledgeQuery = async (agent, prompt, ctx) => {
+        const image = attachedImage;
+        const imageText = image && uploadedFiles.find(f => f.name === image.name)?.textContent;
+        const retrieved = await retrieveContext(imageText ? `${prompt}\n${imageText.slice(0, MAX_IMAGE_QUERY_CHARS)}` : prompt, ctx);
+        if (!retrieved) return noDocumentsFound(agent);
+        const imageNote = image ? `\n\nThe user attached the image "${image.name}" to the question. Use it to understand the question, but answer and cite only from the context.` : '';
+        const augmentedPrompt = withSystemPrompt(agent, `--- CONTEXT ---\n${retrieved.context}\n--- END CONTEXT ---${imageNote}\n\nUser Question: "${prompt}"`);
+        const chunkIds = retrieved.sources.flatMap(s => s.chunkIds);
+        const text = await callLLM({ ...ctx, agent: agent.name, prompt: augmentedPrompt, image, chunkIds });
+        if (image) setAttachedImage(null);
+        if (isDeclined(text)) return noDocumentsFound(agent);
+        const claims = splitClaims(text);
+        const verification = claims.length > 0 ? await requestVerification(buildVerificationPrompt(claims, retrieved.sources), { ...ctx, chunkIds }) : null;
+        const grounding = verifyAnswer(text, retrieved.sources, parseVerification(verification, claims.length));
+        return { role: 'model', agent: agent.name, parts: [{ text }], sources: retrieved.sources, grounding };
+    };
+    // A failed verification call is not an error for the user: the term-overlap check is used instead
+    const requestVerification = async (prompt, { signal, onTrace, onGuardrail, chunkIds }) => {
+        try { return await callLLM({ agent: 'Verifier', prompt, signal, onTrace, onGuardrail, chunkIds }); }
+        catch (err) { if (isAbortError(err)) throw err; console.warn("Claim verification failed:", err); return null; }
+    };
+    // Answers only from fetched pages, so every source carries the URL it came from. The query leaves the browser too,
+    // so it is redacted like a prompt.
+    const handleWebSearchQuery = async (agent, prompt, ctx) => {
+        const query = guardrailSettings.redaction ? redactText(prompt, guardrailSettings.redactionRules) : { text: prompt, findings: [] };
+        query.findings.forEach(f => ctx.onGuardrail?.(f));
+        const pages = await searchWeb(searchSettings, query.text, { signal: ctx.signal }).catch(err => {
+            if (isAbortError(err)) throw err;
+            throw new Error(`Web search failed: ${err.message}. Check the web search settings.`);
+        });
+        const screened = screenPassages(selectPassages(prompt, pages), { textOf: p => p.chunk, describe: p => p.page.url }, guardrailSettings);
+        screened.findings.forEach(f => ctx.onGuardrail?.(f));
+        const sources = toWebSources(screened.items);
+        if (sources.length === 0) return { role: 'model', agent: agent.name, parts: [{ text: "I couldn't find any web pages that answer that." }] };
+        const text = await callLLM({ ...ctx, agent: agent.name, prompt: withSystemPrompt(agent, buildWebContext(prompt, sources)), chunkIds: sources.map(s => s.url) });
+        return { role: 'model', agent: agent.name, parts: [{ text }], sources };
+    };
+    // Console output and errors can echo whatever the code read or printed, so they are screened before a failed run
+    // goes back to the model. A dropped run is replaced by a note; the chat still shows the original output.
+    const screenRun = (run, ctx) => {
+        const { items: [kept], findings } = screenPassages([run], { textOf: r => `${r.error || ''}\n${formatLogs(r.logs || [])}`, describe: () => 'sandbox output' }, guardrailSettings);
+        findings.forEach(f => ctx.onGuardrail?.(f));
+        return kept || { ...run, error: 'The output was withheld because it looked like instructions to the model.', logs: [] };
+    };
+    const handleCodeGenerationQuery = async (agent, prompt, ctx) => {
+        const codePrompt = withSystemPrompt(agent, `JavaScript is run as the body of an async function in a sandbox without DOM or network access, so include a few console.log calls that show it works.\n\nRequest: "${prompt}"`);
+        const outcome = await generateAndRun({
+            prompt: codePrompt,
+            // Only the first draft is streamed; a corrected version replaces it once it has run
+            generate: (request, attempt) => callLLM({ ...ctx, onToken: attempt === 1 ? ctx.onToken : undefined, agent: agent.name, prompt: request }),
+            execute: code => runInSandbox(code, { createWorker: createSandboxWorker, signal: ctx.signal }),
+            screenRun: run => screenRun(run, ctx),
+        });
+        return { role: 'model', agent: agent.name, parts: [{ text: outcome.reply }], execution: summarizeExecution(outcome) };
+    };
+    const handleDataAnalysisQuery = async (agent, prompt, ctx) => {
+        const { text: question, fileNames } = parseScopedQuery(prompt);
+        const files = uploadedFiles.filter(f => f.tables?.length > 0 && (fileNames.length === 0 || fileNames.some(n => f.name.toLowerCase().includes(n))));
+        const screened = screenPassages(buildTables(files), { textOf: tableText, describe: t => t.name }, guardrailSettings);
+        screened.findings.forEach(f => ctx.onGuardrail?.(f));
+        const tables = screened.items;
+        if (tables.length === 0) return { role: 'model', agent: agent.name, parts: [{ text: "There is no spreadsheet data to analyze. Upload an XLSX file to the knowledge base first." }] };
+        const outcome = await generateAndRun({
+            prompt: buildAnalysisPrompt(question, tables, agent.systemPrompt),
+            generate: request => callLLM({ agent: agent.name, prompt: request, signal: ctx.signal, onTrace: ctx.onTrace, onGuardrail: ctx.onGuardrail }),
+            execute: code => runInSandbox(code, { tables, createWorker: createSandboxWorker, signal: ctx.signal }),
+            screenRun: run => screenRun(run, ctx),
+        });
+        const execution = summarizeExecution(outcome);
+        if (!execution?.ok) return { role: 'model', agent: agent.name, parts: [{ text: `I couldn't compute an answer from the spreadsheets${execution ? `: ${execution.error}` : '.'}` }], execution };
+        const result = screenPassages([execution], { textOf: e => JSON.stringify(e.result) ?? '', describe: () => 'computed result' }, guardrailSettings);
+        result.findings.forEach(f => ctx.onGuardrail?.(f));
+        if (result.items.length === 0) return { role: 'model', agent: agent.name, parts: [{ text: 'The computed result is shown below. It was not summarized because it looked like it contained instructions to the model.' }], execution };
+        // The numbers come from the code; the model only puts them into words
+        const text = await callLLM({ ...ctx, agent: agent.name, prompt: buildAnswerPrompt(question, execution.result) });
+        return { role: 'model', agent: agent.name, parts: [{ text }], execution };
+    };
+    const handleSummarizationQuery = async (agent, prompt, ctx) => {
         // This agent can now summarize raw text OR a filename
         const file = uploadedFiles.find(f => f.name === prompt);
         const textToSummarize = file ? file.textContent : prompt;
-        if (!textToSummarize) return { role: 'model', agent: 'SummarizationAgent', parts: [{ text: `Error: Could not find document or text to summarize for "${prompt}".` }] };
-        const summaryPrompt = `Provide a concise, professional summary of the following text:\n\n--- TEXT ---\n${textToSummarize}\n--- END TEXT ---`;
-        const text = await callGeminiAPI({prompt: summaryPrompt});
-        return { role: 'model', agent: 'SummarizationAgent', parts: [{ text }] };
-    };
-    const handleImageAnalysisQuery = async (prompt) => {
-        if (!attachedImage) return { role: 'model', agent: 'ImageAnalysisAgent', parts: [{ text: "Error: No image was attached." }] };
-        const text = await callGeminiAPI({prompt, image: attachedImage});
+        if (!textToSummarize) return { role: 'model', agent: agent.name, parts: [{ text: `Error: Could not find document or text to summarize for "${prompt}".` }] };
+        const text = await callLLM({ ...ctx, agent: agent.name, prompt: withSystemPrompt(agent, `--- TEXT ---\n${wrapUntrusted(textToSummarize, file ? `document ${file.name}` : 'text to summarize')}\n--- END TEXT ---`) });
+        return { role: 'model', agent: agent.name, parts: [{ text }] };
+    };
+    const handleImageAnalysisQuery = async (agent, prompt, ctx) => {
+        if (!attachedImage) return { role: 'model', agent: agent.name, parts: [{ text: "Error: No image was attached." }] };
+        const text = await callLLM({ ...ctx, agent: agent.name, prompt: withSystemPrompt(agent, prompt), image: attachedImage });
         setAttachedImage(null);
-        return { role: 'model', agent: 'ImageAnalysisAgent', parts: [{ text }] };
+        return { role: 'model', agent: agent.name, parts: [{ text }] };
+    };
+    // Custom agents: their system prompt, the task and whichever inputs they declare
+    const handlePromptAgentQuery = async (agent, prompt, ctx) => {
+        const needsImage = agent.inputs.includes('image');
+        if (needsImage && !attachedImage) return { role: 'model', agent: agent.name, parts: [{ text: "Error: No image was attached." }] };
+        const retrieved = agent.inputs.includes('documents') ? await retrieveContext(prompt, ctx) : null;
+        if (agent.inputs.includes('documents') && !retrieved) return noDocumentsFound(agent);
+        const task = retrieved ? `--- CONTEXT ---\n${retrieved.context}\n--- END CONTEXT ---\n\nTask: "${prompt}"` : `Task: "${prompt}"`;
+        const text = await callLLM({ ...ctx, agent: agent.name, prompt: withSystemPrompt(agent, task), image: needsImage ? attachedImage : null, chunkIds: retrieved?.sources.flatMap(s => s.chunkIds) });
+        if (needsImage) setAttachedImage(null);
+        return { role: 'model', agent: agent.name, parts: [{ text }], ...(retrieved && { sources: retrieved.sources }) };
     };
+    // Implementations for the `handler` names used in the registry
+    const agentHandlers = { knowledge: handleKnowledgeQuery, webSearch: handleWebSearchQuery, code: handleCodeGenerationQuery, dataAnalysis: handleDataAnalysisQuery, summarization: handleSummarizationQuery, imageAnalysis: handleImageAnalysisQuery, prompt: handlePromptAgentQuery };
 
     // --- Main Send Message Handler ---
     const handleSendMessage = async () => {
-        if (userInput.trim() === '' || isLoading || isIndexing) return;
+        if (userInput.trim() === '' || isLoading) return;
         const newUserMessage = { role: 'user', parts: [{ text: userInput }], image: attachedImage };
         setChatHistory(prev => [...prev, newUserMessage]);
         const currentInput = userInput;
         setUserInput('');
+        const activeSession = sessions.find(s => s.id === activeSessionId);
+        if (activeSession?.title === DEFAULT_TITLE) renameSession(activeSessionId, deriveTitle(currentInput));
+
+        const controller = beginRun();
+        // The turn's plan message (or the message saying why there is none) carries the trace of its model calls;
+        // calls made before it exists are collected here
+        const planMessageId = `plan-${Date.now()}`;
+        const trace = [];
+        const onTrace = entry => trace.push(entry);
+        const guardrails = [];
+        const onGuardrail = finding => guardrails.push(finding);
+        let plan;
+        try {
+            // Turns that left the history window are folded into the rolling memory instead of being dropped
+            // A failed summary leaves the memory as it was; the turns are folded in on a later turn
+            const summarize = prompt => callLLM({ agent: 'SummarizationAgent', prompt, signal: controller.signal, onTrace, onGuardrail }).catch(err => { if (isAbortError(err)) throw err; console.warn("Memory summary failed:", err); return null; });
+            const currentMemory = await updateMemory(chatHistory, memory, summarize);
+            setMemory(currentMemory);
+            plan = await callPlanner(currentInput, buildConversationContext(chatHistory, currentMemory), { signal: controller.signal, onTrace, onGuardrail });
+        } catch (err) {
+            if (isAbortError(err)) setChatHistory(prev => [...prev, { id: planMessageId, role: 'model', parts: [{ text: "Stopped before a plan was created." }], trace, ...(guardrails.length > 0 && { guardrails }) }]);
+            else {
+                console.error("Planning failed:", err);
+                const error = err.errors
+                    ? { title: "I couldn't create a valid plan for that request", message: 'The planner kept returning plans that break these rules:', details: err.errors }
+                    : { title: "I couldn't create a plan for that request", message: err.message, attempts: err.attempts };
+                setChatHistory(prev => [...prev, { id: planMessageId, role: 'model', agent: 'Planner', parts: [{ text: [`${error.title}.`, error.message, ...(error.details || []).map(d => `- ${d}`)].join('\n') }], error, trace, ...(guardrails.length > 0 && { guardrails }) }]);
+            }
+            endRun();
+            return;
+        }
+        // In approval mode the plan is shown as an editable card and only runs once the user approves it
+        const awaitingApproval = planSettings.requireApproval;
+        setChatHistory(prev => [...prev, { id: planMessageId, role: 'model', agent: 'Planner', plan, outputs: {}, status: awaitingApproval ? 'awaiting-approval' : 'running', trace, ...(guardrails.length > 0 && { guardrails }) }]);
+        if (awaitingApproval) { endRun(); return; }
+        await runPlan(planMessageId, plan, {}, controller);
+    };
+    const beginRun = () => {
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
         setIsLoading(true);
         setError(null);
+        return controller;
+    };
+    const endRun = () => { abortControllerRef.current = null; setIsLoading(false); };
+    const stopGeneration = () => abortControllerRef.current?.abort();
 
-        // Get recent history for conversational memory
-        const recentHistory = chatHistory.slice(-4);
-
-        const plan = await callPlanner(currentInput, recentHistory);
-        if (plan && plan.length > 0) {
-            setChatHistory(prev => [...prev, { role: 'model', agent: 'Planner', plan }]);
-            await executePlan(plan);
-        } else {
-            setChatHistory(prev => [...prev, { role: 'model', parts: [{ text: "I'm sorry, I couldn't create a plan for that request." }] }]);
+    // --- Plan Review & Re-runs ---
+    const runPlan = async (planMessageId, plan, reuse, controller) => {
+        updateMessage(planMessageId, { plan, status: 'running' });
+        try {
+            await executePlan(planMessageId, plan, reuse, controller.signal);
+            updateMessage(planMessageId, { status: 'completed' });
+        } catch (err) {
+            if (isAbortError(err)) updateMessage(planMessageId, { status: 'cancelled' });
+            else if (err instanceof StepFailedError) {
+                // The failed step's error card says what happened; steps still running in parallel are stopped
+                controller.abort();
+                updateMessage(planMessageId, { status: 'failed' });
+            } else {
+                console.error("Plan execution failed:", err);
+                updateMessage(planMessageId, { status: 'failed' });
+                setError(`Plan execution failed: ${err.message}`);
+            }
         }
-        setIsLoading(false);
+        endRun();
     };
+    const approvePlan = (planMessageId, plan) => { if (!isLoading) runPlan(planMessageId, plan, {}, beginRun()); };
+    const rejectPlan = (planMessageId) => updateMessage(planMessageId, { status: 'rejected' });
+    // Runs the given steps again and keeps the outputs of every other step.
+    const rerunSteps = (planMessageId, stepIds) => {
+        const planMessage = chatHistory.find(m => m.id === planMessageId);
+        if (!planMessage || isLoading) return;
+        const reuse = Object.fromEntries(Object.entries(planMessage.outputs || {}).filter(([id]) => !stepIds.has(id)));
+        runPlan(planMessageId, planMessage.plan, reuse, beginRun());
+    };
+    const retryStep = (planMessageId, stepId) => rerunSteps(planMessageId, new Set([stepId]));
+    const rerunFromStep = (planMessageId, stepId) => rerunSteps(planMessageId, downstreamSteps(chatHistory.find(m => m.id === planMessageId).plan, stepId));
 
     // --- File Parsing and Embedding ---
-    const parseFileContent = async (file) => {
+    const updateFile = (name, changes) => setUploadedFiles(prev => prev.map(f => f.name === name ? { ...f, ...changes } : f));
+    const processAndEmbedFiles = (files) => {
+        if (!modelStatus.ready) { setError("Document model not ready."); return; }
+        // Files are indexed independently: one failing or being cancelled does not affect the others.
+        // Images are only indexed when there is something to read from them.
+        files.filter(f => !f.type.startsWith('image/') || ocrSettings.enabled || ocrSettings.captionImages).forEach(indexFile);
+    };
+    const indexFile = async (file) => {
+        updateFile(file.name, { progress: { stage: 'queued' }, indexError: null });
         try {
-            const arrayBuffer = await file.arrayBuffer();
-            if (file.type === 'application/pdf') {
-                const { getDocument } = await import('https://cdn.jsdelivr.net/npm/pdfjs-dist@4.3.136/build/pdf.min.mjs');
-                const pdfjsWorker = await import('https://cdn.jsdelivr.net/npm/pdfjs-dist@4.3.136/build/pdf.worker.min.mjs');
-                const pdf = await getDocument({ data: arrayBuffer, worker: pdfjsWorker }).promise;
-                let text = '';
-                for (let i = 1; i <= pdf.numPages; i++) { const page = await pdf.getPage(i); const content = await page.getTextContent(); text += content.items.map(item => item.str).join(' '); }
-                return text;
+            const isImage = file.type.startsWith('image/');
+            const arrayBuffer = await file.fileObject.arrayBuffer();
+            const hash = await hashContent(arrayBuffer);
+            const ocr = { enabled: ocrSettings.enabled, language: ocrSettings.language };
+            const captioned = isImage && ocrSettings.captionImages;
+            // What was read from scans and images depends on the OCR settings, so a change to them re-indexes those files
+            const ocrOptions = isImage || file.type === 'application/pdf' ? JSON.stringify({ ...ocr, captioned }) : null;
+            // An unchanged file was already parsed and embedded; reuse what is stored under its hash
+            let stored = await getDocument(hash).catch(() => null);
+            // Documents stored by an older chunker, or before spreadsheet tables were kept, are indexed again; saving replaces their chunks
+            if (stored && (stored.document.chunkerVersion !== CHUNKER_VERSION || !('tables' in stored.document) || (stored.document.ocrOptions ?? null) !== ocrOptions)) stored = null;
+            let textContent = stored?.document.textContent;
+            let tables = stored?.document.tables;
+            let vectors = stored?.chunks.map(c => ({ ...c, fileName: file.name }));
+            if (!stored) {
+                // The buffer is transferred to the worker, so the caption's copy of the image is read first
+                const imageContent = captioned ? await readAsBase64(file.fileObject) : null;
+                const job = workerPoolRef.current.run('ingest', { arrayBuffer, type: file.type, ocr }, { transfer: [arrayBuffer], onProgress: progress => updateFile(file.name, { progress }) });
+                indexingJobsRef.current.set(file.name, job.id);
+                const result = await job.promise.finally(() => indexingJobsRef.current.delete(file.name));
+                const caption = imageContent ? await captionImage({ name: file.name, type: file.type, content: imageContent }) : '';
+                if (!result.textContent.trim() && !caption) throw new Error(isImage ? 'No text was found in the image.' : 'No text could be extracted.');
+                textContent = [result.textContent, caption && `Image description: ${caption}`].filter(s => s.trim()).join('\n\n');
+                tables = result.tables;
+                vectors = result.chunks.map((c, i) => ({ id: `${hash}:${i}`, docHash: hash, fileName: file.name, chunk: c.text, meta: c.meta, embedding: c.embedding }));
+                if (caption) {
+                    const [embedding] = await workerPoolRef.current.run('embed', { texts: [caption] }).promise;
+                    vectors.push({ id: `${hash}:caption`, docHash: hash, fileName: file.name, chunk: caption, meta: { caption: true }, embedding });
+                }
             }
-            if (file.type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') { const mammoth = await import('https://cdn.jsdelivr.net/npm/mammoth@1.7.0/mammoth.browser.min.js'); const { value } = await mammoth.extractRawText({ arrayBuffer }); return value; }
-            if (file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') { const XLSX = await import('https://cdn.jsdelivr.net/npm/xlsx@0.18.5/xlsx.mjs'); const workbook = XLSX.read(arrayBuffer, { type: 'array' }); let text = ''; workbook.SheetNames.forEach(sheetName => { text += `Sheet: ${sheetName}\n\n${XLSX.utils.sheet_to_csv(workbook.Sheets[sheetName])}\n\n`; }); return text; }
-            return new TextDecoder().decode(arrayBuffer);
-        } catch (err) { console.error(`Failed to parse ${file.name}:`, err); setError(`Could not parse ${file.name}.`); return null; }
-    };
-    const processAndEmbedFiles = async (files) => {
-        if (!modelStatus.ready) { setError("Document model not ready."); return; }
-        setIsIndexing(true);
-        let newVectors = [];
-        for (const file of files) {
-            if (file.type.startsWith('image/')) continue;
-            const textContent = await parseFileContent(file.fileObject);
-            if (!textContent) continue;
-            setUploadedFiles(prev => prev.map(f => f.name === file.name ? { ...f, textContent } : f));
-            const chunks = chunkText(textContent);
-            const embeddings = await Promise.all(chunks.map(c => getClientSideEmbedding(c)));
-            newVectors.push(...chunks.map((chunk, i) => ({ fileName: file.name, chunk, embedding: embeddings[i] })).filter(v => v.embedding));
+            updateFile(file.name, { progress: { stage: 'saving' } });
+            const document = { hash, name: file.name, type: file.type, size: file.fileObject.size, textContent, tables, chunkerVersion: CHUNKER_VERSION, ocrOptions, addedAt: Date.now() };
+            // A file that could not be stored (e.g. the storage quota is full) stays searchable until the page is reloaded
+            const persistError = await saveDocument(document, vectors).then(() => deleteOtherVersions(file.name, hash)).then(() => null, err => {
+                console.error(`Failed to persist ${file.name}:`, err);
+                return `it could not be saved in this browser and will be gone after a reload (${err.message})`;
+            });
+            setVectorStore(prev => [...prev.filter(v => v.fileName !== file.name), ...vectors]);
+            updateFile(file.name, { id: documentId(hash, file.name), hash, textContent, tables, progress: null, indexError: persistError });
+        } catch (err) {
+            if (err instanceof JobCancelledError) { setUploadedFiles(prev => prev.filter(f => f.name !== file.name)); return; }
+            console.error(`Failed to index ${file.name}:`, err);
+            updateFile(file.name, { progress: null, indexError: err.message });
         }
-        setVectorStore(prev => [...prev, ...newVectors]);
-        setIsIndexing(false);
     };
-    const findSimilarChunks = async (query) => {
-        if (vectorStore.length === 0 || !modelStatus.ready) return [];
-        const queryEmbedding = await getClientSideEmbedding(query);
-        if (!queryEmbedding) return [];
-        const similarities = vectorStore.map(v => ({...v, similarity: dotProduct(queryEmbedding, v.embedding)}));
-        similarities.sort((a, b) => b.similarity - a.similarity);
-        return similarities.slice(0, 3);
-    };
-    const callGeminiAPI = async ({ prompt, image = null }) => {
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/${GENERATIVE_MODEL_NAME}:generateContent?key=${API_KEY}`;
-        const parts = [{ text: prompt }];
-        if (image) parts.push({ inline_data: { mime_type: image.type, data: image.content } });
+    // The caption is indexed like any other passage; a failed caption only leaves the image to its OCR text.
+    // Its trace is kept with the file, since it belongs to no turn of the conversation.
+    const captionImage = async (image) => {
+        updateFile(image.name, { progress: { stage: 'captioning' } });
+        const onTrace = entry => updateFile(image.name, { captionTrace: entry });
+        try { return (await callLLM({ agent: 'ImageAnalysisAgent', prompt: IMAGE_CAPTION_PROMPT, image, onTrace }))?.trim() || ''; }
+        catch (err) { console.error(`Failed to caption ${image.name}:`, err); return ''; }
+    };
+    const cancelIndexing = (fileName) => {
+        const jobId = indexingJobsRef.current.get(fileName);
+        if (jobId) workerPoolRef.current?.cancel(jobId);
+    };
+    const getClientSideEmbedding = async (text) => {
+        if (!workerPoolRef.current) return null;
         try {
-            const response = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ contents: [{ parts }] }) });
-            if (!response.ok) throw new Error(`API Error: ${response.status}`);
-            const result = await response.json();
-            return result.candidates?.[0]?.content?.parts?.[0]?.text;
-        } catch (err) { setError(`Generation failed: ${err.message}`); setIsLoading(false); return null; }
+            const [embedding] = await workerPoolRef.current.run('embed', { texts: [text] }).promise;
+            return embedding;
+        } catch (err) { console.error("Embedding failed:", err); return null; }
+    };
+    const findSimilarChunks = async (query) => {
+        if (vectorStore.length === 0) return [];
+        const { text, fileNames, fileTypes } = parseScopedQuery(query);
+        // Keyword matching still works while the embedding model is unavailable
+        const queryEmbedding = modelStatus.ready ? await getClientSideEmbedding(text) : null;
+        return hybridSearch({ query: text, queryEmbedding, chunks: vectorStore, index: keywordIndex, options: { ...retrievalSettings, fileNames, fileTypes } });
     };
+    // Every call is traced: `onTrace` receives the call with its prompt, response, latency, usage and `chunkIds`.
+    // Calls are rate-limited, timed out and retried by `resilientGenerate`; an error that remains is thrown.
+    // The prompt passes the guardrails first, so what is sent and traced has its untrusted blocks framed and personal
+    // data redacted; redactions are reported to `onGuardrail`.
+    const callLLM = ({ agent, prompt, image = null, onToken, onRetry, signal, onTrace, onGuardrail = () => {}, chunkIds }) => {
+        const guarded = guardPrompt(prompt, guardrailSettings);
+        guarded.findings.forEach(onGuardrail);
+        return tracedGenerateText(llmSettings, { agent, prompt: guarded.text, image, onToken, onRetry, signal }, { onTrace, chunkIds, generate: resilientGenerate });
+    };
+    const updateCustomAgents = (agents) => { setCustomAgents(agents); saveCustomAgents(agents); };
+    const updateSettings = ({ llm, retrieval, plan, search, ocr, reliability, guardrails }) => { setLlmSettings(llm); saveLlmSettings(llm); setRetrievalSettings(retrieval); saveRetrievalSettings(retrieval); setPlanSettings(plan); savePlanSettings(plan); setSearchSettings(search); saveSearchSettings(search); setOcrSettings(ocr); saveOcrSettings(ocr); setReliabilitySettings(reliability); saveReliabilitySettings(reliability); setGuardrailSettings(guardrails); saveGuardrailSettings(guardrails); };
     const handleFileChange = (e) => {
-        const files = Array.from(e.target.files);
+        // Browsers leave the type empty for several formats (Markdown, EML), so it is taken from the extension
+        const files = Array.from(e.target.files).map(file => ({ name: file.name, type: detectFileType(file.name, file.type), fileObject: file }));
         setError(null);
-        const newFilesToProcess = [];
-        files.forEach(file => {
-            const fileData = { name: file.name, type: file.type, fileObject: file };
-            if (file.type.startsWith('image/')) {
-                const reader = new FileReader();
-                reader.onload = (event) => { fileData.content = event.target.result.split(',')[1]; setUploadedFiles(prev => [...prev, fileData]); };
-                reader.readAsDataURL(file);
-            } else { setUploadedFiles(prev => [...prev, fileData]); newFilesToProcess.push(fileData); }
-        });
-        if (newFilesToProcess.length > 0) processAndEmbedFiles(newFilesToProcess);
+        setUploadedFiles(prev => [...prev.filter(f => !files.some(n => n.name === f.name)), ...files]);
+        // Images are also kept as base64 so they can be attached to a prompt
+        files.filter(f => f.type.startsWith('image/')).forEach(f => readAsBase64(f.fileObject).then(content => updateFile(f.name, { content })).catch(err => console.error(`Failed to read ${f.name}:`, err)));
+        if (files.length > 0) processAndEmbedFiles(files);
+    };
+    const removeFile = (fileName) => {
+        cancelIndexing(fileName);
+        const file = uploadedFiles.find(f => f.name === fileName);
+        if (file?.id) deleteDocument(file.id).catch(err => console.error(`Failed to delete ${fileName}:`, err));
+        setUploadedFiles(prev => prev.filter(f => f.name !== fileName)); setVectorStore(prev => prev.filter(v => v.fileName !== fileName)); if (attachedImage?.name === fileName) setAttachedImage(null);
+    };
+    const handleExportKnowledgeBase = async () => {
+        try {
+            const data = await exportKnowledgeBase();
+            downloadFile(JSON.stringify(data), `knowledge-base-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+        } catch (err) { console.error("Export failed:", err); setError(`Could not export the knowledge base: ${err.message}`); }
+    };
+    const handleImportKnowledgeBase = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setError(null);
+        setIsImporting(true);
+        try { applyKnowledgeBase(await importKnowledgeBase(JSON.parse(await file.text()))); }
+        catch (err) { console.error("Import failed:", err); setError(`Could not import ${file.name}: ${err.message}`); }
+        setIsImporting(false);
     };
-    const removeFile = (fileName) => { setUploadedFiles(prev => prev.filter(f => f.name !== fileName)); setVectorStore(prev => prev.filter(v => v.fileName !== fileName)); if (attachedImage?.name === fileName) setAttachedImage(null); };
     useEffect(() => { document.documentElement.classList.toggle('dark', isDarkMode); }, [isDarkMode]);
-    useEffect(() => { setChatHistory([{ role: 'model', parts: [{ text: "Hello! I am a multi-agent AI assistant. I can create and execute plans to answer complex questions. How can I help you?" }] }]); }, []);
     useEffect(() => { chatEndRef.current?.scrollIntoView({ behavior: 'smooth' }); }, [chatHistory, isLoading]);
     const handleKeyPress = (e) => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); handleSendMessage(); } };
-    const chunkText = (text, chunkSize = 1000, overlap = 200) => { const chunks = []; for (let i = 0; i < text.length; i += chunkSize - overlap) { chunks.push(text.substring(i, i + chunkSize)); } return chunks; };
-    const dotProduct = (vecA, vecB) => { let p = 0; for (let i = 0; i < vecA.length; i++) { p += vecA[i] * vecB[i]; } return p; };
 
     return (
         <div className="font-sans bg-gray-100 dark:bg-black text-gray-900 dark:text-gray-100 flex flex-col h-screen w-full">
             <header className="flex items-center justify-between px-6 py-4 border-b border-gray-200 dark:border-gray-800 bg-white/80 dark:bg-gray-950/80 backdrop-blur-sm z-10">
                 <h1 className="text-xl font-bold">Enterprise Agentic Platform</h1>
-                <button onClick={() => setIsDarkMode(!isDarkMode)} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-800 transition-colors"><_ThemeIcon isDarkMode={isDarkMode}/></button>
+                <div className="flex items-center gap-2">
+                    <button onClick={() => setIsAgentsOpen(true)} title="Agents" className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-800 transition-colors"><Puzzle className="w-6 h-6 text-gray-500 dark:text-gray-400"/></button>
+                    <button onClick={() => setIsSettingsOpen(true)} title="Model settings" className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-800 transition-colors"><Settings className="w-6 h-6 text-gray-500 dark:text-gray-400"/></button>
+                    <button onClick={() => setIsDarkMode(!isDarkMode)} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-800 transition-colors"><_ThemeIcon isDarkMode={isDarkMode}/></button>
+                </div>
             </header>
             <div className="flex flex-grow overflow-hidden">
-                <_FileUploadArea {...{ uploadedFiles, handleFileChange, removeFile, isIndexing, modelStatus, setAttachedImage, attachedImage }} />
+                <_ConversationSidebar {...{ sessions, activeSessionId, isLoading, onNew: startNewSession, onOpen: openSession, onRename: renameSession, onDelete: removeSession, onExport: exportSession }} />
+                <_FileUploadArea {...{ uploadedFiles, handleFileChange, removeFile, cancelIndexing, isImporting, modelStatus, setAttachedImage, attachedImage, onExport: handleExportKnowledgeBase, onImport: handleImportKnowledgeBase }} />
                 <main className="w-full flex flex-col h-full bg-white dark:bg-gray-900">
                     <div className="flex-grow p-6 overflow-y-auto">
                         <div className="max-w-4xl mx-auto">
-                            {chatHistory.map((msg, i) => <_ChatMessage key={i} message={msg} />)}
+                            {chatHistory.map((msg, i) => <_ChatMessage key={msg.id || i} message={msg} registry={registry} guardrailSettings={guardrailSettings} isLoading={isLoading} onFork={isLoading ? null : () => forkFromMessage(i)} planActions={{ onApprove: approvePlan, onReject: rejectPlan, onRerunFrom: rerunFromStep, onRetry: retryStep, onExportTrace: exportTraces }} />)}
                             <div ref={chatEndRef} />
                         </div>
                     </div>
                     <div className="p-6 bg-white/50 dark:bg-black/50 backdrop-blur-sm border-t border-gray-200 dark:border-gray-800">
                         {error && <p className="text-red-500 text-sm mb-2 max-w-4xl mx-auto">{error}</p>}
+                        {traceTotals.calls > 0 && (
+                            <div className="flex items-center justify-between text-xs text-gray-500 mb-2 max-w-4xl mx-auto">
+                                <span className="flex items-center"><Activity className="w-3 h-3 mr-1"/>This conversation: {describeTraceTotals(traceTotals)}</span>
+                                <button onClick={() => exportTraces()} title="Download the traces of every turn as JSON" className="flex items-center hover:text-blue-500"><FileJson className="w-3 h-3 mr-1"/>Export traces</button>
+                            </div>
+                        )}
                         {attachedImage && <_AttachedImagePreview image={attachedImage} onRemove={() => setAttachedImage(null)} />}
                         <div className="relative max-w-4xl mx-auto">
-                            <textarea className="w-full p-4 pr-24 text-base bg-gray-100 dark:bg-gray-800 rounded-xl border-2 border-transparent focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all" placeholder={!modelStatus.ready ? "Waiting for client-side AI..." : "Ask a multi-step question..."} rows="2" value={userInput} onChange={e => setUserInput(e.target.value)} onKeyPress={handleKeyPress} disabled={isLoading || isIndexing || !modelStatus.ready} />
-                            <button onClick={handleSendMessage} disabled={isLoading || isIndexing || userInput.trim() === '' || !modelStatus.ready} className="absolute right-3 top-1/2 -translate-y-1/2 p-3 rounded-lg bg-blue-600 text-white disabled:bg-gray-400 dark:disabled:bg-gray-600 hover:bg-blue-700 transition-all transform hover:scale-110 focus:outline-none focus:ring-2 focus:ring-blue-500"><Send className="w-5 h-5" /></button>
+                            <textarea className="w-full p-4 pr-24 text-base bg-gray-100 dark:bg-gray-800 rounded-xl border-2 border-transparent focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all" placeholder={!modelStatus.ready ? "Waiting for client-side AI..." : "Ask a multi-step question..."} rows="2" value={userInput} onChange={e => setUserInput(e.target.value)} onKeyPress={handleKeyPress} disabled={isLoading || !modelStatus.ready} />
+                            {isLoading
+                                ? <button onClick={stopGeneration} title="Stop" className="absolute right-3 top-1/2 -translate-y-1/2 p-3 rounded-lg bg-red-600 text-white hover:bg-red-700 transition-all transform hover:scale-110 focus:outline-none focus:ring-2 focus:ring-red-500"><Square className="w-5 h-5" /></button>
+                                : <button onClick={handleSendMessage} disabled={userInput.trim() === '' || !modelStatus.ready} className="absolute right-3 top-1/2 -translate-y-1/2 p-3 rounded-lg bg-blue-600 text-white disabled:bg-gray-400 dark:disabled:bg-gray-600 hover:bg-blue-700 transition-all transform hover:scale-110 focus:outline-none focus:ring-2 focus:ring-blue-500"><Send className="w-5 h-5" /></button>}
                         </div>
                     </div>
                 </main>
             </div>
+            {isAgentsOpen && <_AgentsPanel customAgents={customAgents} onSave={updateCustomAgents} onClose={() => setIsAgentsOpen(false)} />}
+            {isSettingsOpen && <_SettingsPanel callers={[...INTERNAL_CALLERS, ...registry.names]} settings={llmSettings} retrievalSettings={retrievalSettings} planSettings={planSettings} searchSettings={searchSettings} ocrSettings={ocrSettings} reliabilitySettings={reliabilitySettings} guardrailSettings={guardrailSettings} agentNames={registry.names} onSave={updateSettings} onClose={() => setIsSettingsOpen(false)} />}
             <style>{`@keyframes f{from{opacity:0;transform:translateY(10px)}to{opacity:1;transform:translateY(0)}}.animate-fade-in{animation:f .3s ease-out forwards}::-webkit-scrollbar{width:8px}::-webkit-scrollbar-track{background:transparent}::-webkit-scrollbar-thumb{background-color:#555;border-radius:4px;border:2px solid transparent;background-clip:content-box}.dark ::-webkit-scrollbar-thumb{background-color:#444}`}</style>
         </div>
     );
 }
 
+// --- Helpers ---
+const toFileBaseName = (title = '') => title.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'conversation';
+const readAsBase64 = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.split(',')[1]);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+const downloadFile = (content, fileName, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
 // --- Helper UI Components ---
 const _ThemeIcon = ({ isDarkMode }) => isDarkMode ? <Sun className="w-6 h-6 text-yellow-400" /> : <Moon className="w-6 h-6 text-gray-700" />;
-const _FileUploadArea = ({ uploadedFiles, handleFileChange, removeFile, isIndexing, modelStatus, setAttachedImage, attachedImage }) => (
+const _FileUploadArea = ({ uploadedFiles, handleFileChange, removeFile, cancelIndexing, isImporting, modelStatus, setAttachedImage, attachedImage, onExport, onImport }) => (
     <div className="w-full lg:w-1/3 xl:w-1/4 bg-gray-100 dark:bg-gray-950 border-r border-gray-200 dark:border-gray-800 p-6 flex flex-col">
         <h2 className="text-2xl font-bold mb-2 flex items-center"><Book className="mr-3 text-blue-500"/>Knowledge Base</h2>
         <div className={`flex items-center text-sm mb-4 p-2 rounded-lg ${modelStatus.ready ? 'bg-green-100 dark:bg-green-900/40 text-green-800 dark:text-green-300' : 'bg-yellow-100 dark:bg-yellow-900/40 text-yellow-800 dark:text-yellow-300'}`}>
@@ -281,17 +613,23 @@ const _FileUploadArea = ({ uploadedFiles, handleFileChange, removeFile, isIndexi
         <label htmlFor="file-upload" className={`w-full flex flex-col items-center justify-center p-6 border-2 border-dashed rounded-xl transition-all ${modelStatus.ready ? 'cursor-pointer border-gray-300 dark:border-gray-700 hover:border-blue-500 hover:bg-gray-200 dark:hover:bg-gray-800' : 'cursor-not-allowed bg-gray-200/50 dark:bg-gray-800/30 border-gray-300 dark:border-gray-700'}`}>
             <Upload className="w-10 h-10 text-gray-400 dark:text-gray-600 mb-3" />
             <span className="text-center font-semibold text-gray-600 dark:text-gray-400"><span className="text-blue-500">Click to upload</span> files</span>
-            <span className="text-xs text-gray-500 mt-1">PDF, DOCX, XLSX, TXT, PNG, JPG</span>
+            <span className="text-xs text-gray-500 mt-1">PDF, DOCX, XLSX, PPTX, HTML, MD, CSV, EML, TXT, images</span>
         </label>
-        <input id="file-upload" type="file" multiple className="hidden" onChange={handleFileChange} accept=".txt,.png,.jpg,.jpeg,.webp,.pdf,.docx,.xlsx" disabled={!modelStatus.ready} />
-        {isIndexing && <div className="flex items-center justify-center mt-4 text-sm text-gray-500"><Loader className="animate-spin w-4 h-4 mr-2"/><span>Processing documents...</span></div>}
+        <input id="file-upload" type="file" multiple className="hidden" onChange={handleFileChange} accept={SUPPORTED_EXTENSIONS.map(e => `.${e}`).join(',')} disabled={!modelStatus.ready} />
+        {isImporting && <div className="flex items-center justify-center mt-4 text-sm text-gray-500"><Loader className="animate-spin w-4 h-4 mr-2"/><span>Importing knowledge base...</span></div>}
         <div className="mt-8 flex-grow overflow-y-auto pr-2 -mr-2">
-            <h3 className="text-lg font-semibold mb-3">Uploaded Files</h3>
-            {uploadedFiles.length > 0 ? <ul className="space-y-3">{uploadedFiles.map(f => <_FileItem key={f.name} {...{ file: f, removeFile, setAttachedImage, attachedImage }} />)}</ul> : <div className="text-center py-10"><FileText className="w-12 h-12 text-gray-300 dark:text-gray-700 mx-auto mb-2" /><p className="text-sm text-gray-500">Files appear here.</p></div>}
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold">Uploaded Files</h3>
+                <div className="flex items-center">
+                    <button onClick={onExport} disabled={uploadedFiles.length === 0} title="Export knowledge base" className="p-1 text-gray-400 hover:text-blue-500 disabled:opacity-40 disabled:hover:text-gray-400 transition-colors"><Download className="w-5 h-5" /></button>
+                    <label title="Import knowledge base" className={`p-1 transition-colors ${isImporting ? 'text-gray-300 dark:text-gray-700 cursor-not-allowed' : 'text-gray-400 hover:text-blue-500 cursor-pointer'}`}><Upload className="w-5 h-5" /><input type="file" accept=".json,application/json" className="hidden" onChange={onImport} disabled={isImporting} /></label>
+                </div>
+            </div>
+            {uploadedFiles.length > 0 ? <ul className="space-y-3">{uploadedFiles.map(f => <_FileItem key={f.name} {...{ file: f, removeFile, cancelIndexing, setAttachedImage, attachedImage }} />)}</ul> : <div className="text-center py-10"><FileText className="w-12 h-12 text-gray-300 dark:text-gray-700 mx-auto mb-2" /><p className="text-sm text-gray-500">Files appear here.</p></div>}
         </div>
     </div>
 );
-const _FileItem = ({ file, removeFile, setAttachedImage, attachedImage }) => {
+const _FileItem = ({ file, removeFile, cancelIndexing, setAttachedImage, attachedImage }) => {
     const isImage = file.type.startsWith('image/');
     const isAttached = attachedImage?.name === file.name;
     const getIcon = () => {
@@ -299,71 +637,407 @@ const _FileItem = ({ file, removeFile, setAttachedImage, attachedImage }) => {
         if (file.type.includes('pdf')) return <FileType className="w-5 h-5 text-red-500 mr-3 flex-shrink-0" />;
         if (file.type.includes('spreadsheet')) return <FileSpreadsheet className="w-5 h-5 text-green-500 mr-3 flex-shrink-0" />;
         if (file.type.includes('word')) return <FileType className="w-5 h-5 text-blue-500 mr-3 flex-shrink-0" />;
+        if (file.type.includes('presentation')) return <Presentation className="w-5 h-5 text-orange-500 mr-3 flex-shrink-0" />;
+        if (file.type === 'text/csv') return <FileSpreadsheet className="w-5 h-5 text-green-500 mr-3 flex-shrink-0" />;
+        if (file.type === 'message/rfc822') return <Mail className="w-5 h-5 text-sky-500 mr-3 flex-shrink-0" />;
+        if (file.type === 'text/html' || file.type === 'text/markdown') return <FileCode className="w-5 h-5 text-gray-500 mr-3 flex-shrink-0" />;
         return <FileText className="w-5 h-5 text-gray-500 mr-3 flex-shrink-0" />;
     };
     return (
-        <li className={`flex items-center justify-between bg-white dark:bg-gray-800/50 p-3 rounded-lg shadow-sm hover:shadow-md transition-all ${isAttached ? 'ring-2 ring-blue-500' : ''}`}>
-            <div className="flex items-center truncate">{getIcon()}<span className="text-sm truncate">{file.name}</span></div>
-            <div className="flex items-center flex-shrink-0">
-                {isImage && <button onClick={() => setAttachedImage(file)} className={`p-1 transition-colors ${isAttached ? 'text-blue-500' : 'text-gray-400 hover:text-blue-500'}`}><Paperclip className="w-5 h-5" /></button>}
-                <button onClick={() => removeFile(file.name)} className="text-gray-400 hover:text-red-500 p-1 transition-colors"><XCircle className="w-5 h-5" /></button>
+        <li className={`bg-white dark:bg-gray-800/50 p-3 rounded-lg shadow-sm hover:shadow-md transition-all ${isAttached ? 'ring-2 ring-blue-500' : ''}`}>
+            <div className="flex items-center justify-between">
+                <div className="flex items-center truncate">{getIcon()}<span className="text-sm truncate">{file.name}</span></div>
+                <div className="flex items-center flex-shrink-0">
+                    {isImage && file.content && <button onClick={() => setAttachedImage(file)} title="Attach to the next prompt" className={`p-1 transition-colors ${isAttached ? 'text-blue-500' : 'text-gray-400 hover:text-blue-500'}`}><Paperclip className="w-5 h-5" /></button>}
+                    {file.progress
+                        ? <button onClick={() => cancelIndexing(file.name)} title="Cancel indexing" className="text-gray-400 hover:text-red-500 p-1 transition-colors"><Ban className="w-5 h-5" /></button>
+                        : <button onClick={() => removeFile(file.name)} className="text-gray-400 hover:text-red-500 p-1 transition-colors"><XCircle className="w-5 h-5" /></button>}
+                </div>
             </div>
+            {file.progress && <_IndexingProgress progress={file.progress} />}
+            {file.indexError && <p className="mt-1 text-xs text-red-500 truncate" title={file.indexError}>Indexing failed: {file.indexError}</p>}
+            {file.captionTrace && (
+                <details className="mt-1 text-xs">
+                    <summary className={`cursor-pointer ${file.captionTrace.status === 'ok' ? 'text-gray-500' : 'text-red-500'}`}>Caption call: {describeTraceTotals(summarizeTrace([file.captionTrace]))}</summary>
+                    <_TraceEntryDetails entry={file.captionTrace} />
+                </details>
+            )}
         </li>
     );
 };
-const _ChatMessage = ({ message }) => {
-    if (message.plan) return <_PlanMessage plan={message.plan} />;
-    if (message.thinking) return <_ThinkingMessage agent={message.agent} step={message.step} />;
+const _IndexingProgress = ({ progress }) => {
+    const { stage, pagesParsed, totalPages, ocrPage, chunksEmbedded, totalChunks, percent } = progress;
+    let label = 'Waiting for a worker...';
+    let fraction = null;
+    if (stage === 'parsing') { label = totalPages ? `Parsed ${pagesParsed} of ${totalPages} pages` : 'Parsing...'; fraction = totalPages ? pagesParsed / totalPages : null; }
+    if (stage === 'parsing' && ocrPage) label = totalPages ? `Reading scanned page ${ocrPage} of ${totalPages} (OCR)...` : 'Reading text in the image (OCR)...';
+    if (stage === 'captioning') label = 'Describing image...';
+    if (stage === 'embedding') { label = `Embedded ${chunksEmbedded} of ${totalChunks} chunks`; fraction = totalChunks ? chunksEmbedded / totalChunks : 1; }
+    if (stage === 'loading') { label = 'Loading model...'; fraction = percent / 100; }
+    if (stage === 'saving') label = 'Saving...';
+    return (
+        <div className="mt-2">
+            <div className="flex items-center text-xs text-gray-500"><Loader className="animate-spin w-3 h-3 mr-1.5"/>{label}</div>
+            {fraction != null && <div className="mt-1 h-1 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden"><div className="h-full bg-blue-500 transition-all" style={{ width: `${Math.round(fraction * 100)}%` }} /></div>}
+        </div>
+    );
+};
+const _ConversationSidebar = ({ sessions, activeSessionId, isLoading, onNew, onOpen, onRename, onDelete, onExport }) => {
+    const [query, setQuery] = useState('');
+    const [editing, setEditing] = useState(null); // { id, title }
+    const results = useMemo(() => (query.trim() ? searchSessions(sessions, query) : sessions.map(session => ({ session, matches: [] }))), [sessions, query]);
+    const commitRename = () => { if (editing.title.trim()) onRename(editing.id, editing.title.trim()); setEditing(null); };
+    return (
+        <div className="hidden md:flex w-64 flex-shrink-0 flex-col bg-gray-50 dark:bg-gray-950 border-r border-gray-200 dark:border-gray-800 p-4">
+            <div className="flex items-center justify-between mb-3">
+                <h2 className="text-lg font-bold flex items-center"><MessagesSquare className="w-5 h-5 mr-2 text-blue-500"/>Conversations</h2>
+                <button onClick={onNew} disabled={isLoading} title="New conversation" className="p-1 text-gray-400 hover:text-blue-500 disabled:opacity-40 transition-colors"><MessageSquarePlus className="w-5 h-5" /></button>
+            </div>
+            <div className="relative mb-3">
+                <Search className="absolute left-2 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+                <input value={query} onChange={e => setQuery(e.target.value)} placeholder="Search conversations" className="w-full pl-8 pr-2 py-1.5 text-sm bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500" />
+            </div>
+            <ul className="flex-grow overflow-y-auto space-y-1 -mr-2 pr-2">
+                {results.map(({ session, matches }) => (
+                    <li key={session.id} className={`group rounded-lg px-2 py-1.5 text-sm ${session.id === activeSessionId ? 'bg-blue-100 dark:bg-blue-900/40' : 'hover:bg-gray-200 dark:hover:bg-gray-800'}`}>
+                        {editing?.id === session.id
+                            ? <input autoFocus value={editing.title} onChange={e => setEditing({ ...editing, title: e.target.value })} onBlur={commitRename} onKeyDown={e => { if (e.key === 'Enter') commitRename(); if (e.key === 'Escape') setEditing(null); }} className="w-full px-1 text-sm bg-white dark:bg-gray-800 rounded border border-gray-300 dark:border-gray-600" />
+                            : <div className="flex items-center">
+                                <button onClick={() => onOpen(session)} disabled={isLoading} className="flex-grow text-left truncate disabled:cursor-not-allowed" title={session.title}>{session.title}</button>
+                                <div className="hidden group-hover:flex items-center flex-shrink-0 text-gray-400">
+                                    <button onClick={() => setEditing({ id: session.id, title: session.title })} title="Rename" className="p-0.5 hover:text-blue-500"><Pencil className="w-3.5 h-3.5" /></button>
+                                    <button onClick={() => onExport(session.id, 'markdown')} title="Export as Markdown" className="p-0.5 hover:text-blue-500"><FileDown className="w-3.5 h-3.5" /></button>
+                                    <button onClick={() => onExport(session.id, 'json')} title="Export as JSON" className="p-0.5 hover:text-blue-500"><FileJson className="w-3.5 h-3.5" /></button>
+                                    <button onClick={() => onDelete(session.id)} disabled={isLoading && session.id === activeSessionId} title="Delete" className="p-0.5 hover:text-red-500 disabled:opacity-40"><Trash2 className="w-3.5 h-3.5" /></button>
+                                </div>
+                            </div>}
+                        {matches.map(m => <p key={m.messageIndex} className="mt-1 text-xs text-gray-500 dark:text-gray-400 line-clamp-2">{m.snippet}</p>)}
+                        {session.forkedFrom && matches.length === 0 && <p className="text-xs text-gray-400 flex items-center"><GitBranch className="w-3 h-3 mr-1"/>fork</p>}
+                    </li>
+                ))}
+                {query.trim() && results.length === 0 && <li className="text-sm text-gray-500 text-center py-4">No matching conversations.</li>}
+            </ul>
+        </div>
+    );
+};
+const _ChatMessage = ({ message, registry, guardrailSettings, isLoading, onFork, planActions }) => {
+    if (message.plan) return <_PlanMessage message={message} agentNames={registry.names} isLoading={isLoading} actions={planActions} />;
+    const config = registry.appearance(message.agent);
+    if (message.thinking) return <_ThinkingMessage text={config.thinkingText} step={message.step} recovery={message.recovery} retry={message.retry} />;
     const isUser = message.role === 'user';
-    const agentConfig = { 'KnowledgeAgent': { icon: Book, color: 'from-blue-500 to-sky-600' }, 'WebSearchAgent': { icon: Globe, color: 'from-green-500 to-emerald-600' }, 'CodeGenerationAgent': { icon: Code, color: 'from-orange-500 to-amber-600' }, 'SummarizationAgent': { icon: Sparkles, color: 'from-amber-500 to-yellow-600' }, 'ImageAnalysisAgent': { icon: ImageIcon, color: 'from-purple-500 to-pink-600' }, 'Default': { icon: Bot, color: 'from-gray-500 to-gray-600' } };
-    const config = agentConfig[message.agent] || agentConfig.Default;
+    const AgentIcon = AGENT_ICON_COMPONENTS[config.icon] || Bot;
+    // Grounded answers only list the sources they cite
+    const cited = message.grounding ? citedSources(message.grounding) : null;
+    const shownSources = cited ? message.sources?.filter((_, i) => cited.includes(i + 1)) : message.sources;
+    // Links to the pages the answer was built from are allowed like allowlisted domains
+    const sourceUrls = message.sources?.map(s => s.url).filter(Boolean) || [];
+    const linkCheck = href => checkLink(href, guardrailSettings, sourceUrls);
     return (
-        <div className="flex items-start gap-4 my-6 animate-fade-in">
+        <div className="group flex items-start gap-4 my-6 animate-fade-in">
             <div className={`flex-shrink-0 w-10 h-10 rounded-full flex items-center justify-center ${isUser ? 'bg-blue-600' : `bg-gradient-to-tr ${config.color}`}`}>
-                {isUser ? <User className="w-6 h-6 text-white" /> : <config.icon className="w-6 h-6 text-white" />}
+                {isUser ? <User className="w-6 h-6 text-white" /> : <AgentIcon className="w-6 h-6 text-white" />}
             </div>
             <div className="flex flex-col gap-2 w-full">
                 <div className={`p-4 rounded-xl max-w-3xl shadow-md ${isUser ? 'bg-blue-600 text-white rounded-bl-none' : 'bg-white dark:bg-gray-800 rounded-bl-none'}`}>
                     {message.image && <img src={`data:${message.image.type};base64,${message.image.content}`} alt="User upload" className="rounded-lg mb-2 max-w-xs" />}
-                    <_MessageContent text={message.parts[0].text} agent={message.agent} />
+                    {message.error
+                        ? <_ErrorCard error={message.error} onRetry={message.planId && !isLoading ? () => planActions.onRetry(message.planId, message.step.id) : null} />
+                        : message.grounding
+                        ? <_GroundedAnswer text={message.parts[0].text} grounding={message.grounding} sources={message.sources} />
+                        : <_MessageContent text={message.parts[0].text} isCode={config.handler === 'code'} checkLink={isUser ? null : linkCheck} />}
+                    {message.streaming && <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-gray-400 animate-pulse" />}
+                    {message.incomplete && <p className="mt-2 text-xs text-amber-600 dark:text-amber-400">{message.parts[0].text ? 'Incomplete: stopped before this step finished.' : 'Stopped before this step produced any output.'}</p>}
+                    {message.recovered && <p className="mt-2 flex items-center text-xs text-amber-600 dark:text-amber-400"><LifeBuoy className="w-3 h-3 mr-1 flex-shrink-0"/>{describeRecovery(message.recovered)}</p>}
+                </div>
+                {message.execution && <_ExecutionResult execution={message.execution} showCode={config.handler === 'dataAnalysis'} />}
+                {message.sources && <_SourceList sources={shownSources} uncited={message.sources.length - shownSources.length} />}
+                {message.guardrails && <div className="max-w-3xl"><_GuardrailNotice findings={message.guardrails} /></div>}
+                {message.trace?.length > 0 && <div className="max-w-3xl"><_RunInspector trace={message.trace} onExport={() => planActions.onExportTrace(message.id)} /></div>}
+                <div className="flex items-center gap-3 opacity-0 group-hover:opacity-100 transition-opacity">
+                    {message.planId && !message.error && !isLoading && <button onClick={() => planActions.onRetry(message.planId, message.step.id)} title="Run this step again with the same inputs" className="flex items-center text-xs text-gray-400 hover:text-blue-500"><RotateCcw className="w-3 h-3 mr-1"/>Retry step</button>}
+                    {onFork && <button onClick={onFork} title="Start a new conversation from this message" className="flex items-center text-xs text-gray-400 hover:text-blue-500"><GitBranch className="w-3 h-3 mr-1"/>Fork from here</button>}
                 </div>
-                {message.sources && <_SourceList sources={message.sources} />}
             </div>
         </div>
     );
 };
-const _PlanMessage = ({ plan }) => (
-    <div className="flex items-start gap-4 my-6 animate-fade-in">
-        <div className="flex-shrink-0 w-10 h-10 rounded-full flex items-center justify-center bg-gradient-to-tr from-indigo-500 to-purple-600"><ListOrdered className="w-6 h-6 text-white" /></div>
-        <div className="p-4 rounded-xl max-w-3xl shadow-md bg-white dark:bg-gray-800">
-            <h3 className="font-bold mb-2">Execution Plan:</h3>
-            <ol className="list-decimal list-inside space-y-2">{plan.map((step, i) => <li key={i} className="text-sm"><span className="font-semibold">{step.agent}:</span> {step.prompt.length > 70 ? step.prompt.substring(0, 70) + '...' : step.prompt}</li>)}</ol>
+const PLAN_STATUS_STYLES = { 'awaiting-approval': 'bg-purple-100 text-purple-700 dark:bg-purple-900/40 dark:text-purple-300', running: 'bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300', completed: 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300', cancelled: 'bg-amber-100 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300', failed: 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300', rejected: 'bg-gray-200 text-gray-600 dark:bg-gray-700 dark:text-gray-300' };
+const _PlanMessage = ({ message, agentNames, isLoading, actions }) => {
+    const { id, plan, status, outputs } = message;
+    // Older plans (and plans that never ran) have no stored outputs to re-run from
+    const canRerun = outputs && !isLoading && ['completed', 'failed', 'cancelled'].includes(status);
+    return (
+        <div className="flex items-start gap-4 my-6 animate-fade-in">
+            <div className="flex-shrink-0 w-10 h-10 rounded-full flex items-center justify-center bg-gradient-to-tr from-indigo-500 to-purple-600"><ListOrdered className="w-6 h-6 text-white" /></div>
+            <div className="p-4 rounded-xl max-w-3xl w-full shadow-md bg-white dark:bg-gray-800">
+                <h3 className="font-bold mb-2 flex items-center">Execution Plan:{status && <span className={`ml-2 text-xs font-medium px-2 py-0.5 rounded-full ${PLAN_STATUS_STYLES[status]}`}>{status.replace('-', ' ')}</span>}</h3>
+                {status === 'awaiting-approval'
+                    ? <_PlanEditor plan={plan} agentNames={agentNames} isLoading={isLoading} onApprove={edited => actions.onApprove(id, edited)} onReject={() => actions.onReject(id)} />
+                    : <ol className="list-decimal list-inside space-y-2">{plan.map((step, i) => (
+                        <li key={step.id} className="group text-sm">
+                            <span className="font-mono text-xs text-gray-500 mr-1">[{step.id}]</span><span className="font-semibold">{step.agent}:</span> <span className="whitespace-pre-wrap">{step.prompt}</span>
+                            <span className="flex items-center pl-5 text-xs text-gray-400">
+                                {step.dependsOn.length > 0 ? `waits for ${step.dependsOn.join(', ')}` : 'runs immediately'}
+                                {step.onFailure && ` · on failure: ${describeFailurePolicy(step.onFailure)}`}
+                                {canRerun && <button onClick={() => actions.onRerunFrom(id, step.id)} title="Run this step and everything that uses its output again; other outputs are reused" className="ml-3 flex items-center hover:text-blue-500 opacity-0 group-hover:opacity-100 transition-opacity"><RotateCcw className="w-3 h-3 mr-1"/>Re-run from step {i + 1}</button>}
+                            </span>
+                        </li>
+                    ))}</ol>}
+                {message.guardrails && <_GuardrailNotice findings={message.guardrails} />}
+                {message.trace?.length > 0 && <_RunInspector trace={message.trace} plan={plan} onExport={() => actions.onExportTrace(id)} />}
+            </div>
+        </div>
+    );
+};
+// --- Failures ---
+const describeFailurePolicy = ({ action, retries, fallbackAgent }) => ({ retry: `retry ${retries ?? 1}×`, skip: 'skip the step', fallback: `fall back to ${fallbackAgent}`, abort: 'stop the plan' })[action];
+const describeRecovery = ({ attempt, previousError, fallbackFrom }) => (fallbackFrom ? `Answered by the fallback agent because ${fallbackFrom} failed: ${previousError}` : `Succeeded on attempt ${attempt} after: ${previousError}`);
+const _ErrorCard = ({ error, onRetry }) => (
+    <div className="p-3 rounded-lg border border-red-300 dark:border-red-800 bg-red-50 dark:bg-red-900/20 text-sm">
+        <p className="font-semibold text-red-700 dark:text-red-300 flex items-center"><AlertTriangle className="w-4 h-4 mr-1.5 flex-shrink-0"/>{error.title}</p>
+        <p className="mt-1 text-red-700/90 dark:text-red-300/90 break-words">{error.message}</p>
+        {error.details && <ul className="mt-1 text-xs text-red-700/90 dark:text-red-300/90 list-disc list-inside">{error.details.map(d => <li key={d}>{d}</li>)}</ul>}
+        <div className="mt-2 flex items-center gap-3 text-xs text-gray-500">
+            {error.attempts > 1 && <span>Gave up after {error.attempts} attempts.</span>}
+            <span>Inspect the run for details.</span>
+            {onRetry && <button onClick={onRetry} title="Run this step again with the same inputs" className="ml-auto flex items-center text-blue-500 hover:underline"><RotateCcw className="w-3 h-3 mr-1"/>Retry step</button>}
         </div>
     </div>
 );
-const _ThinkingMessage = ({ agent, step }) => {
-    const agentConfig = { 'KnowledgeAgent': { icon: Book, text: 'Searching knowledge base...' }, 'WebSearchAgent': { icon: Globe, text: 'Searching the web...' }, 'CodeGenerationAgent': { icon: Code, text: 'Generating code...' }, 'SummarizationAgent': { icon: Sparkles, text: 'Summarizing...' }, 'ImageAnalysisAgent': { icon: ImageIcon, text: 'Analyzing image...' }, 'Default': { icon: Zap, text: 'Orchestrator is thinking...' } };
-    const config = agentConfig[agent] || agentConfig.Default;
+// --- Guardrail Findings ---
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+const _GuardrailNotice = ({ findings }) => {
+    const { injections, redactions } = summarizeFindings(findings);
+    const summary = [
+        injections.length > 0 && `${plural(injections.length, 'passage')} looked like prompt injection`,
+        redactions.length > 0 && `redacted before sending: ${redactions.map(r => plural(r.count, r.label)).join(', ')}`,
+    ].filter(Boolean).join(' · ');
+    return (
+        <details className="mt-2 text-xs text-amber-700 dark:text-amber-400">
+            <summary className="cursor-pointer flex items-center"><ShieldAlert className="w-3 h-3 mr-1 flex-shrink-0"/>Guardrails: {summary}</summary>
+            {injections.length > 0 && <ul className="mt-1 ml-4 space-y-1 list-disc">{injections.map((f, i) => <li key={i}><span className="font-medium">{f.source}</span> {f.label} ({f.action}): <q className="text-gray-500">{f.excerpt}</q></li>)}</ul>}
+        </details>
+    );
+};
+// --- Run Inspector ---
+// A timeline of the turn's model calls; parallel steps overlap. Each call opens to its exact prompt and raw response.
+const TRACE_STATUS_STYLES = { ok: 'bg-blue-500', error: 'bg-red-500', aborted: 'bg-amber-500' };
+const formatTokens = (count) => count.toLocaleString('en-US');
+const formatDuration = (ms) => (ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`);
+const describeTraceTotals = (totals) => [
+    `${totals.calls} model call${totals.calls === 1 ? '' : 's'}`,
+    `${formatTokens(totals.inputTokens + totals.outputTokens)} tokens${totals.estimated ? ' (partly estimated)' : ''}`,
+    totals.unpriced < totals.calls ? `${formatCost(totals.cost)}${totals.unpriced > 0 ? '+' : ''}` : 'cost unknown',
+    formatDuration(totals.durationMs),
+    totals.errors > 0 && `${totals.errors} failed`,
+].filter(Boolean).join(' · ');
+const _RunInspector = ({ trace, plan = [], onExport }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [selectedId, setSelectedId] = useState(null);
+    const totals = summarizeTrace(trace);
+    const callLabel = (entry) => {
+        const stepIndex = plan.findIndex(s => s.id === entry.stepId);
+        return stepIndex === -1 ? entry.agent : `${stepIndex + 1}. ${entry.agent}`;
+    };
     return (
-        <div className="flex items-center gap-4 my-6 animate-fade-in pl-14">
-            <div className="p-4 rounded-xl max-w-xl shadow-md bg-white dark:bg-gray-800 flex items-center">
-                <Loader className="animate-spin w-5 h-5 text-gray-500" />
-                <div className="ml-3"><p className="text-gray-700 dark:text-gray-300">{config.text}</p><p className="text-xs text-gray-400">Step {step.current} of {step.total}</p></div>
+        <div className="mt-3 pt-2 border-t border-gray-200 dark:border-gray-700 text-xs">
+            <div className="flex items-center justify-between gap-2">
+                <button onClick={() => setIsOpen(open => !open)} className={`flex items-center text-left hover:text-blue-500 ${totals.errors > 0 ? 'text-red-500' : 'text-gray-500'}`}><Activity className="w-3 h-3 mr-1 flex-shrink-0"/>{isOpen ? 'Hide run' : 'Inspect run'}: {describeTraceTotals(totals)}</button>
+                <button onClick={onExport} title="Download this turn's trace as JSON" className="flex items-center text-gray-400 hover:text-blue-500 flex-shrink-0"><FileJson className="w-3 h-3 mr-1"/>Export</button>
             </div>
+            {isOpen && (
+                <ul className="mt-2 space-y-1">
+                    {traceTimeline(trace).map(({ entry, offset, width }) => (
+                        <li key={entry.id}>
+                            <button onClick={() => setSelectedId(id => (id === entry.id ? null : entry.id))} className={`w-full flex items-center gap-2 px-1 py-0.5 rounded text-left hover:bg-gray-100 dark:hover:bg-gray-700/50 ${selectedId === entry.id ? 'bg-gray-100 dark:bg-gray-700/50' : ''}`}>
+                                <span className="w-40 truncate font-medium" title={entry.model}>{callLabel(entry)}</span>
+                                <span className="relative flex-grow h-2 rounded bg-gray-100 dark:bg-gray-700"><span className={`absolute h-full rounded ${TRACE_STATUS_STYLES[entry.status]}`} style={{ left: `${offset * 100}%`, width: `${Math.max(width * 100, 1)}%` }} /></span>
+                                <span className="w-44 text-right text-gray-500 tabular-nums">{formatDuration(entry.latencyMs)} · {formatTokens(entry.usage.inputTokens + entry.usage.outputTokens)} tok · {entry.cost == null ? '?' : formatCost(entry.cost)}</span>
+                            </button>
+                            {selectedId === entry.id && <_TraceEntryDetails entry={entry} />}
+                        </li>
+                    ))}
+                </ul>
+            )}
         </div>
     );
 };
-const _SourceList = ({ sources }) => ( <div className="mt-2"><h4 className="text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1 flex items-center"><LinkIcon className="w-3 h-3 mr-1.5"/>Sources:</h4><div className="flex flex-wrap gap-2">{sources.map((s, i) => <div key={i} className="bg-gray-100 dark:bg-gray-800/50 text-xs px-2 py-1 rounded-md" title={s.chunk}>{s.fileName}</div>)}</div></div>);
-const _MessageContent = ({ text, agent }) => {
+const _TraceEntryDetails = ({ entry }) => (
+    <div className="mt-1 mb-2 ml-1 p-2 rounded-lg bg-gray-50 dark:bg-gray-900/60 space-y-2">
+        <p className="text-gray-500">
+            {entry.provider} / {entry.model} · started {new Date(entry.startedAt).toLocaleTimeString()} · {formatTokens(entry.usage.inputTokens)} in / {formatTokens(entry.usage.outputTokens)} out{entry.usage.estimated ? ' (estimated)' : ''}
+            {entry.image && <> · image {entry.image}</>}
+        </p>
+        {entry.error && <p className="text-red-500">{entry.status === 'aborted' ? 'Stopped' : 'Error'}: {entry.error}</p>}
+        {entry.retries && <ul className="text-amber-600 dark:text-amber-400">{entry.retries.map(r => <li key={r.attempt}>Attempt {r.attempt} failed: {r.error}; retried after {formatDuration(r.delayMs)}</li>)}</ul>}
+        {entry.chunkIds.length > 0 && <p className="text-gray-500 break-all">Retrieved: {entry.chunkIds.map(id => <code key={id} className="mr-1 px-1 rounded bg-gray-200 dark:bg-gray-800">{id}</code>)}</p>}
+        <details><summary className="cursor-pointer text-gray-500">Prompt</summary><pre className="mt-1 max-h-60 overflow-auto whitespace-pre-wrap font-mono text-[11px]">{entry.prompt}</pre></details>
+        <details open><summary className="cursor-pointer text-gray-500">Response</summary><pre className="mt-1 max-h-60 overflow-auto whitespace-pre-wrap font-mono text-[11px]">{entry.response || '(empty)'}</pre></details>
+    </div>
+);
+const _PlanEditor = ({ plan, agentNames, isLoading, onApprove, onReject }) => {
+    const [steps, setSteps] = useState(plan);
+    const [errors, setErrors] = useState([]);
+    const inputClass = "w-full p-2 text-sm bg-gray-100 dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500";
+    const setStep = (index, changes) => setSteps(prev => prev.map((s, i) => i === index ? { ...s, ...changes } : s));
+    const toggleDependency = (index, dep) => { const { dependsOn } = steps[index]; setStep(index, { dependsOn: dependsOn.includes(dep) ? dependsOn.filter(d => d !== dep) : [...dependsOn, dep] }); };
+    const approve = () => {
+        const result = validatePlan({ steps }, agentNames);
+        setErrors(result.errors);
+        if (result.plan) onApprove(result.plan);
+    };
+    return (
+        <div className="space-y-3">
+            {steps.map((step, i) => (
+                <div key={step.id} className="p-3 rounded-lg border border-gray-200 dark:border-gray-700">
+                    <div className="flex items-center gap-2 mb-2">
+                        <span className="font-mono text-xs text-gray-500">{i + 1}. [{step.id}]</span>
+                        <select className={`${inputClass} !w-auto !p-1`} value={step.agent} onChange={e => setStep(i, { agent: e.target.value })}>{agentNames.map(name => <option key={name} value={name}>{name}</option>)}</select>
+                        <div className="ml-auto flex items-center text-gray-400">
+                            <button onClick={() => setSteps(prev => removeStep(prev, step.id))} disabled={steps.length === 1} title="Remove step" className="p-1 hover:text-red-500 disabled:opacity-30"><Trash2 className="w-4 h-4" /></button>
+                        </div>
+                    </div>
+                    <textarea className={inputClass} rows="2" value={step.prompt} onChange={e => setStep(i, { prompt: e.target.value })} placeholder="What should this agent do? Use {{s1.output}} to pass in another step's output." />
+                    <div className="mt-1 flex flex-wrap items-center gap-2 text-xs text-gray-500">
+                        On failure:
+                        <select className={`${inputClass} !w-auto !p-1 !text-xs`} value={step.onFailure?.action || ''} onChange={e => setStep(i, { onFailure: e.target.value ? { action: e.target.value, ...(e.target.value === 'fallback' ? { fallbackAgent: agentNames.find(n => n !== step.agent) } : {}) } : undefined })}>
+                            <option value="">Default</option>{FAILURE_ACTIONS.map(action => <option key={action} value={action}>{action}</option>)}
+                        </select>
+                        {step.onFailure?.action === 'fallback' && <select className={`${inputClass} !w-auto !p-1 !text-xs`} value={step.onFailure.fallbackAgent} onChange={e => setStep(i, { onFailure: { ...step.onFailure, fallbackAgent: e.target.value } })}>{agentNames.filter(n => n !== step.agent).map(name => <option key={name} value={name}>{name}</option>)}</select>}
+                    </div>
+                    {steps.length > 1 && <div className="mt-1 flex flex-wrap items-center gap-3 text-xs text-gray-500">Waits for:{steps.filter(s => s.id !== step.id).map(s => <label key={s.id} className="flex items-center gap-1"><input type="checkbox" checked={step.dependsOn.includes(s.id)} onChange={() => toggleDependency(i, s.id)} />{s.id}</label>)}</div>}
+                </div>
+            ))}
+            {errors.length > 0 && <ul className="text-xs text-red-500 list-disc list-inside">{errors.map(e => <li key={e}>{e}</li>)}</ul>}
+            <div className="flex items-center gap-2">
+                <button onClick={() => setSteps(prev => [...prev, { id: nextStepId(prev), agent: agentNames[0], prompt: '', dependsOn: [] }])} className="flex items-center px-3 py-1.5 text-sm rounded-lg hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors"><Plus className="w-4 h-4 mr-1"/>Add step</button>
+                <button onClick={onReject} className="ml-auto px-3 py-1.5 text-sm rounded-lg hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors">Reject</button>
+                <button onClick={approve} disabled={isLoading} className="px-3 py-1.5 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-400 transition-colors">Approve &amp; run</button>
+            </div>
+        </div>
+    );
+};
+const _ThinkingMessage = ({ text, step, recovery, retry }) => (
+    <div className="flex items-center gap-4 my-6 animate-fade-in pl-14">
+        <div className="p-4 rounded-xl max-w-xl shadow-md bg-white dark:bg-gray-800 flex items-center">
+            <Loader className="animate-spin w-5 h-5 text-gray-500" />
+            <div className="ml-3">
+                <p className="text-gray-700 dark:text-gray-300">{text}</p>
+                <p className="text-xs text-gray-400">Step {step.current} of {step.total}</p>
+                {recovery && <p className="text-xs text-amber-600 dark:text-amber-400">{recovery.fallbackFrom ? `${recovery.fallbackFrom} failed (${recovery.previousError}); trying the fallback agent` : `Attempt ${recovery.attempt}: the last one failed (${recovery.previousError})`}</p>}
+                {retry && <p className="text-xs text-amber-600 dark:text-amber-400">The model call failed ({retry.error}); retrying in {formatDuration(retry.delayMs)}</p>}
+            </div>
+        </div>
+    </div>
+);
+const MAX_RESULT_ROWS = 50;
+const _ExecutionResult = ({ execution, showCode }) => {
+    const table = execution.ok ? toResultTable(execution.result) : null;
+    return (
+        <div className="max-w-3xl space-y-2">
+            <div className={`flex items-center text-xs ${execution.ok ? 'text-green-600 dark:text-green-400' : 'text-red-500'}`}>
+                <Terminal className="w-3 h-3 mr-1.5"/>{execution.ok ? `Ran in the sandbox in ${execution.durationMs} ms` : `Sandbox run failed: ${execution.error}`}{execution.attempts > 1 && ` (after ${execution.attempts} attempts)`}
+            </div>
+            {table && <_ResultTable table={table} />}
+            {execution.ok && !table && execution.result !== undefined && <pre className="text-xs bg-gray-100 dark:bg-gray-800/50 rounded-md p-2 overflow-x-auto">{JSON.stringify(execution.result, null, 2)}</pre>}
+            {execution.logs.length > 0 && <details className="text-xs"><summary className="cursor-pointer text-gray-500">Console output ({execution.logs.length})</summary><pre className="mt-1 bg-gray-100 dark:bg-gray-800/50 rounded-md p-2 overflow-x-auto">{formatLogs(execution.logs)}</pre></details>}
+            {showCode && <details className="text-xs"><summary className="cursor-pointer text-gray-500">Code</summary><_CodeBlock language="javascript" code={execution.code} /></details>}
+        </div>
+    );
+};
+const _ResultTable = ({ table }) => (
+    <div className="overflow-x-auto rounded-md border border-gray-200 dark:border-gray-700">
+        <table className="min-w-full text-xs">
+            <thead className="bg-gray-100 dark:bg-gray-800"><tr>{table.columns.map(c => <th key={c} className="px-2 py-1 text-left font-semibold">{c}</th>)}</tr></thead>
+            <tbody>{table.rows.slice(0, MAX_RESULT_ROWS).map((row, i) => <tr key={i} className="border-t border-gray-200 dark:border-gray-700">{row.map((cell, j) => <td key={j} className={`px-2 py-1 ${typeof cell === 'number' ? 'text-right tabular-nums' : ''}`}>{typeof cell === 'number' ? cell.toLocaleString() : (cell == null ? '' : typeof cell === 'object' ? JSON.stringify(cell) : String(cell))}</td>)}</tr>)}</tbody>
+        </table>
+        {table.rows.length > MAX_RESULT_ROWS && <p className="px-2 py-1 text-xs text-gray-500">{table.rows.length - MAX_RESULT_ROWS} more rows not shown.</p>}
+    </div>
+);
+const _SourceList = ({ sources, uncited = 0 }) => (
+    <div className="mt-2">
+        <h4 className="text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1 flex items-center"><LinkIcon className="w-3 h-3 mr-1.5"/>Sources:</h4>
+        <div className="flex flex-wrap gap-2">{sources.map((s, i) => <div key={i} className="bg-gray-100 dark:bg-gray-800/50 text-xs px-2 py-1 rounded-md" title={s.chunk}>{s.injection && <span title={`Possible prompt injection: ${s.injection.join(', ')}`}><ShieldAlert className="inline w-3 h-3 mr-1 text-amber-500" /></span>}{s.label && <span className="font-mono font-semibold mr-1">[{s.label}]</span>}{s.url ? <a href={s.url} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline">{s.citation || s.fileName}</a> : s.citation || s.fileName}{s.url && <span className="block text-[10px] text-gray-500 truncate max-w-xs">{s.url}</span>}{s.signals && <_RetrievalSignals signals={s.signals} />}</div>)}</div>
+        {uncited > 0 && <p className="mt-1 text-[10px] text-gray-500">{uncited} retrieved passage{uncited === 1 ? ' was' : 's were'} not cited in the answer.</p>}
+    </div>
+);
+// The answer with each claim marked by its verification status. Clicking a [S#] marker shows the cited passage
+// with the sentences that support the claim highlighted.
+const CLAIM_STYLES = { supported: '', partial: 'underline decoration-dotted decoration-amber-500 underline-offset-4', unsupported: 'bg-red-100 dark:bg-red-900/30 underline decoration-wavy decoration-red-500 underline-offset-4' };
+const CLAIM_TITLES = { partial: 'Only partly supported by the cited sources', unsupported: 'Not supported by the cited sources' };
+const _GroundedAnswer = ({ text, grounding, sources }) => {
+    const [selected, setSelected] = useState(null); // { claim, source } with `source` the 1-based [S#] number
+    const pieces = [];
+    let position = 0;
+    grounding.claims.forEach((claim, c) => {
+        if (claim.start > position) pieces.push(<span key={`t${c}`}>{text.slice(position, claim.start)}</span>);
+        pieces.push(
+            <span key={`c${c}`} className={CLAIM_STYLES[claim.status]} title={CLAIM_TITLES[claim.status]}>
+                {text.slice(claim.start, claim.end).split(/(\[S\d+\])/).map((part, k) => {
+                    const marker = part.match(/^\[S(\d+)\]$/);
+                    if (!marker) return part;
+                    const source = Number(marker[1]);
+                    const active = selected?.claim === c && selected.source === source;
+                    return <button key={k} onClick={() => setSelected(active ? null : { claim: c, source })} disabled={!sources[source - 1]} className={`mx-0.5 px-1 rounded text-[10px] font-mono align-super ${active ? 'bg-blue-600 text-white' : 'bg-blue-100 text-blue-700 dark:bg-blue-900/50 dark:text-blue-300 hover:bg-blue-200'} disabled:opacity-40`}>S{source}</button>;
+                })}
+            </span>
+        );
+        position = claim.end;
+    });
+    if (position < text.length) pieces.push(<span key="rest">{text.slice(position)}</span>);
+    return (
+        <div>
+            <p className="whitespace-pre-wrap text-base">{pieces}</p>
+            <_GroundednessBadge grounding={grounding} />
+            {selected && sources[selected.source - 1] && <_SourcePassage source={sources[selected.source - 1]} claim={grounding.claims[selected.claim]} onClose={() => setSelected(null)} />}
+        </div>
+    );
+};
+const GROUNDEDNESS_STYLES = { high: 'text-green-600 dark:text-green-400', medium: 'text-amber-600 dark:text-amber-400', low: 'text-red-500' };
+const _GroundednessBadge = ({ grounding }) => {
+    const Icon = grounding.level === 'high' ? ShieldCheck : ShieldAlert;
+    const partial = grounding.claims.filter(c => c.status === 'partial').length;
+    return (
+        <p className={`mt-3 flex items-center text-xs ${GROUNDEDNESS_STYLES[grounding.level]}`} title={grounding.verifiedBy === 'model' ? 'Claims checked by the verifier model' : 'Claims checked by term overlap with the cited passages'}>
+            <Icon className="w-3.5 h-3.5 mr-1.5"/>Grounded {Math.round(grounding.score * 100)}%
+            {grounding.unsupported > 0 && ` · ${grounding.unsupported} unsupported claim${grounding.unsupported === 1 ? '' : 's'}`}
+            {partial > 0 && ` · ${partial} partly supported`}
+        </p>
+    );
+};
+const _SourcePassage = ({ source, claim, onClose }) => (
+    <div className="mt-2 p-3 rounded-lg bg-gray-100 dark:bg-gray-900/60 text-sm">
+        <div className="flex items-center justify-between mb-1 text-xs text-gray-500"><span><span className="font-mono font-semibold">[{source.label}]</span> {source.citation || source.fileName}</span><button onClick={onClose} className="p-0.5 hover:text-red-500"><XCircle className="w-3.5 h-3.5"/></button></div>
+        <p className="whitespace-pre-wrap">{highlightPassage(source.chunk, claim.text).map((part, i) => (part.highlight ? <mark key={i} className="bg-yellow-200 dark:bg-yellow-700/60 dark:text-white rounded-sm">{part.text}</mark> : <span key={i}>{part.text}</span>))}</p>
+    </div>
+);
+const _RetrievalSignals = ({ signals }) => (
+    <span className="block mt-0.5 text-[10px] text-gray-500 dark:text-gray-400">
+        {signals.semantic > 0 && <span className="mr-2">semantic {signals.semantic.toFixed(2)}</span>}
+        {signals.matchedTerms.length > 0 && <span className="mr-2">keywords: {signals.matchedTerms.slice(0, 4).join(', ')}</span>}
+        {signals.exactMatches.length > 0 && <span className="text-green-600 dark:text-green-400">exact: {signals.exactMatches.join(', ')}</span>}
+    </span>
+);
+// Markdown links become anchors only when the link policy allows them. `checkLink` is null for the user's own messages.
+const _MessageContent = ({ text, isCode, checkLink: check = null }) => {
     if (!text) return null;
-    if (agent === 'CodeGenerationAgent' && text.includes('```')) {
+    if (isCode && text.includes('```')) {
         const lang = text.match(/```(\w+)/)?.[1] || '';
         const code = text.replace(/```\w*\n?/, '').replace(/```$/, '');
         return <_CodeBlock language={lang} code={code} />;
     }
     const linkRegex = /\[([^\]]+)\]\(([^)]+)\)/g;
     const parts = text.split(linkRegex);
-    return <p className="whitespace-pre-wrap text-base">{parts.map((part, i) => i % 3 === 1 ? <a key={i} href={parts[i+1]} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline">{part}</a> : (i % 3 === 0 ? part : null))}</p>;
+    return <p className="whitespace-pre-wrap text-base">{parts.map((part, i) => i % 3 === 1 ? <_GuardedLink key={i} label={part} href={parts[i+1]} verdict={check ? check(parts[i+1]) : { action: 'allow' }} /> : (i % 3 === 0 ? part : null))}</p>;
+};
+const _GuardedLink = ({ label, href, verdict }) => {
+    if (verdict.action === 'block') return <span className="text-gray-500" title={`Link removed: ${href}`}>{label} <span className="inline-flex items-center text-xs text-red-500"><ShieldAlert className="w-3 h-3 mr-0.5"/>link to {verdict.host} blocked</span></span>;
+    return (
+        <>
+            <a href={href} target="_blank" rel="noopener noreferrer nofollow" className="text-blue-400 hover:underline">{label}</a>
+            {verdict.action === 'warn' && <span className="inline-flex items-center ml-1 text-xs text-amber-600 dark:text-amber-400" title={`${href} is not on the allowlist`}><ShieldAlert className="w-3 h-3 mr-0.5"/>{verdict.host}</span>}
+        </>
+    );
 };
 const _CodeBlock = ({ language, code }) => {
     const [copied, setCopied] = useState(false);
@@ -379,6 +1053,246 @@ const _CodeBlock = ({ language, code }) => {
         <div className="bg-gray-900 dark:bg-black/50 rounded-lg my-2"><div className="flex justify-between items-center px-4 py-2 bg-gray-800/50 dark:bg-white/10 rounded-t-lg"><span className="text-xs text-gray-300 font-mono">{language}</span><button onClick={handleCopy} className="text-xs text-gray-300 hover:text-white flex items-center transition-colors">{copied ? 'Copied!' : 'Copy'}</button></div><pre className="p-4 overflow-x-auto text-sm text-white"><code className={`language-${language}`}>{code}</code></pre></div>
     );
 };
+const _SettingsPanel = ({ callers, agentNames, settings, retrievalSettings, planSettings, searchSettings, ocrSettings, reliabilitySettings, guardrailSettings, onSave, onClose }) => {
+    const [draft, setDraft] = useState(settings);
+    const [retrievalDraft, setRetrievalDraft] = useState(retrievalSettings);
+    const [planDraft, setPlanDraft] = useState(planSettings);
+    const [searchDraft, setSearchDraft] = useState(searchSettings);
+    const [ocrDraft, setOcrDraft] = useState(ocrSettings);
+    const [reliabilityDraft, setReliabilityDraft] = useState(reliabilitySettings);
+    const [guardrailDraft, setGuardrailDraft] = useState(guardrailSettings);
+    const [guardrailErrors, setGuardrailErrors] = useState([]);
+    // Kept as typed until the field loses focus, so it can be cleared and retyped
+    const setReliabilityField = (field, value) => setReliabilityDraft(d => ({ ...d, [field]: value }));
+    const reliabilityInput = (field, props = {}) => <input type="number" {...RELIABILITY_LIMITS[field]} className={inputClass} value={reliabilityDraft[field]} onChange={e => setReliabilityField(field, e.target.value)} onBlur={() => setReliabilityDraft(normalizeReliabilitySettings)} {...props} />;
+    const setFailurePolicy = (changes) => setPlanDraft(d => ({ ...d, failurePolicy: { ...d.failurePolicy, ...changes } }));
+    const setSearchAdapterField = (field, value) => setSearchDraft(d => ({ ...d, adapters: { ...d.adapters, [d.adapter]: { ...d.adapters[d.adapter], [field]: value } } }));
+    const activeSearchAdapter = searchDraft.adapters[searchDraft.adapter] || {};
+    const setRetrievalField = (field, value) => setRetrievalDraft(d => ({ ...d, [field]: value }));
+    const retrievalInput = (field) => <input type="number" {...RETRIEVAL_LIMITS[field]} className={inputClass} value={retrievalDraft[field]} onChange={e => setRetrievalField(field, e.target.value)} onBlur={() => setRetrievalDraft(normalizeRetrievalSettings)} />;
+    const inputClass = "w-full p-2 text-sm bg-gray-100 dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500";
+    const setProviderField = (provider, field, value) => setDraft(d => ({ ...d, providers: { ...d.providers, [provider]: { ...d.providers[provider], [field]: value } } }));
+    const setAgentField = (agent, field, value) => setDraft(d => ({ ...d, agents: { ...d.agents, [agent]: { ...d.agents[agent], [field]: value } } }));
+    const activeProvider = draft.providers[draft.defaultProvider] || {};
+    return (
+        <div className="fixed inset-0 z-20 bg-black/50 flex items-center justify-center p-4 animate-fade-in" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-900 rounded-xl shadow-xl w-full max-w-2xl max-h-full overflow-y-auto p-6" onClick={e => e.stopPropagation()}>
+                <div className="flex items-center justify-between mb-4"><h2 className="text-xl font-bold flex items-center"><Settings className="mr-3 text-blue-500"/>Settings</h2><button onClick={onClose} className="p-1 text-gray-400 hover:text-red-500 transition-colors"><XCircle className="w-5 h-5"/></button></div>
+                <h3 className="text-sm font-semibold mb-2">Default provider</h3>
+                <div className="grid grid-cols-2 gap-3 mb-6">
+                    <label className="text-xs text-gray-500">Provider<select className={inputClass} value={draft.defaultProvider} onChange={e => setDraft(d => ({ ...d, defaultProvider: e.target.value }))}>{Object.entries(PROVIDERS).map(([name, p]) => <option key={name} value={name}>{p.label}</option>)}</select></label>
+                    <label className="text-xs text-gray-500">Model<input className={inputClass} value={activeProvider.model || ''} onChange={e => setProviderField(draft.defaultProvider, 'model', e.target.value)} /></label>
+                    <label className="text-xs text-gray-500 col-span-2">Base URL<input className={inputClass} value={activeProvider.baseUrl || ''} onChange={e => setProviderField(draft.defaultProvider, 'baseUrl', e.target.value)} placeholder="https://..." /></label>
+                    <label className="text-xs text-gray-500 col-span-2">API key<input type="password" className={inputClass} value={activeProvider.apiKey || ''} onChange={e => setProviderField(draft.defaultProvider, 'apiKey', e.target.value)} placeholder="Not required for local servers" /></label>
+                </div>
+                <h3 className="text-sm font-semibold mb-1">Per-agent models</h3>
+                <p className="text-xs text-gray-500 mb-3">Leave blank to use the default provider and model. Each provider uses the base URL and key configured for it above.</p>
+                <div className="space-y-2 mb-6">
+                    {callers.map(agent => {
+                        const resolved = resolveAgentConfig(draft, agent);
+                        return (
+                            <div key={agent} className="grid grid-cols-3 gap-3 items-center">
+                                <span className="text-sm font-medium truncate">{agent}</span>
+                                <select className={inputClass} value={draft.agents[agent]?.provider || ''} onChange={e => setAgentField(agent, 'provider', e.target.value)}><option value="">Default</option>{Object.entries(PROVIDERS).map(([name, p]) => <option key={name} value={name}>{p.label}</option>)}</select>
+                                <input className={inputClass} value={draft.agents[agent]?.model || ''} onChange={e => setAgentField(agent, 'model', e.target.value)} placeholder={resolved.model} />
+                            </div>
+                        );
+                    })}
+                </div>
+                <h3 className="text-sm font-semibold mb-1">Document retrieval</h3>
+                <p className="text-xs text-gray-500 mb-3">Results fuse embedding similarity with BM25 keyword scores. Scores range from 0 to about 1.</p>
+                <div className="grid grid-cols-3 gap-3 mb-6">
+                    <label className="text-xs text-gray-500">Results (top-k){retrievalInput('topK')}</label>
+                    <label className="text-xs text-gray-500">Minimum score{retrievalInput('minScore')}</label>
+                    <label className="text-xs text-gray-500">Semantic weight{retrievalInput('semanticWeight')}</label>
+                </div>
+                <h3 className="text-sm font-semibold mb-1">Web search</h3>
+                <p className="text-xs text-gray-500 mb-3">The WebSearchAgent answers only from the result pages it fetches. Most sites block cross-origin requests, so set a page proxy where <code>{'{url}'}</code> is replaced by the page URL. A custom endpoint gets <code>{'{query}'}</code> and returns <code>[{'{ url, title, snippet }'}]</code>.</p>
+                <div className="grid grid-cols-2 gap-3 mb-6">
+                    <label className="text-xs text-gray-500">Search adapter<select className={inputClass} value={searchDraft.adapter} onChange={e => setSearchDraft(d => ({ ...d, adapter: e.target.value }))}>{Object.entries(SEARCH_ADAPTERS).map(([name, a]) => <option key={name} value={name}>{a.label}</option>)}</select></label>
+                    <label className="text-xs text-gray-500">Results to fetch<input type="number" {...MAX_RESULTS_LIMITS} className={inputClass} value={searchDraft.maxResults} onChange={e => setSearchDraft(d => ({ ...d, maxResults: e.target.value }))} onBlur={() => setSearchDraft(normalizeSearchSettings)} /></label>
+                    <label className="text-xs text-gray-500 col-span-2">Search URL<input className={inputClass} value={activeSearchAdapter.baseUrl || ''} onChange={e => setSearchAdapterField('baseUrl', e.target.value)} placeholder={DEFAULT_SEARCH_SETTINGS.adapters[searchDraft.adapter]?.baseUrl} /></label>
+                    <label className="text-xs text-gray-500">API key<input type="password" className={inputClass} value={activeSearchAdapter.apiKey || ''} onChange={e => setSearchAdapterField('apiKey', e.target.value)} placeholder="Not required for SearXNG" /></label>
+                    <label className="text-xs text-gray-500">Page proxy<input className={inputClass} value={searchDraft.pageProxy} onChange={e => setSearchDraft(d => ({ ...d, pageProxy: e.target.value }))} placeholder="http://localhost:8080/?url={url}" /></label>
+                </div>
+                <h3 className="text-sm font-semibold mb-1 flex items-center"><ScanText className="w-4 h-4 mr-1.5"/>Scanned documents and images</h3>
+                <p className="text-xs text-gray-500 mb-3">PDF pages without a text layer and uploaded images are read with OCR in the browser. Languages use tesseract codes, joined with <code>+</code> for several (e.g. <code>deu+eng</code>). Changes apply to files indexed afterwards.</p>
+                <div className="grid grid-cols-2 gap-3 mb-6 items-end">
+                    <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={ocrDraft.enabled} onChange={e => setOcrDraft(d => ({ ...d, enabled: e.target.checked }))} />Read text with OCR</label>
+                    <label className="text-xs text-gray-500">OCR language<input className={inputClass} value={ocrDraft.language} onChange={e => setOcrDraft(d => ({ ...d, language: e.target.value.trim() }))} placeholder="eng" /></label>
+                    <label className="flex items-center gap-2 text-sm col-span-2"><input type="checkbox" checked={ocrDraft.captionImages} onChange={e => setOcrDraft(d => ({ ...d, captionImages: e.target.checked }))} />Also index a description of each image written by the ImageAnalysisAgent's model</label>
+                </div>
+                <h3 className="text-sm font-semibold mb-1">Reliability</h3>
+                <p className="text-xs text-gray-500 mb-3">Model calls that time out, hit a network error, a rate limit (429) or a server error (5xx) are retried with exponential backoff, or after the delay the provider asks for. Calls wait in a queue once the limits below are reached.</p>
+                <div className="grid grid-cols-3 gap-3 mb-6">
+                    <label className="text-xs text-gray-500">Retries per call{reliabilityInput('maxRetries')}</label>
+                    <label className="text-xs text-gray-500">First retry delay (ms){reliabilityInput('baseDelayMs', { step: 100 })}</label>
+                    <label className="text-xs text-gray-500">Timeout without output (s){reliabilityInput('timeoutSeconds')}</label>
+                    <label className="text-xs text-gray-500">Concurrent calls{reliabilityInput('maxConcurrent')}</label>
+                    <label className="text-xs text-gray-500">Calls per minute{reliabilityInput('requestsPerMinute')}</label>
+                </div>
+                <h3 className="text-sm font-semibold mb-2">Plans</h3>
+                <label className="flex items-center gap-2 text-sm mb-3"><input type="checkbox" checked={planDraft.requireApproval} onChange={e => setPlanDraft(d => ({ ...d, requireApproval: e.target.checked }))} />Review and approve each plan before it runs</label>
+                <p className="text-xs text-gray-500 mb-3">When a step still fails after its model calls were retried. Each step can override this in the plan editor.</p>
+                <div className="grid grid-cols-3 gap-3 mb-6">
+                    <label className="text-xs text-gray-500">When a step fails<select className={inputClass} value={planDraft.failurePolicy.action} onChange={e => setFailurePolicy({ action: e.target.value })}>{FAILURE_ACTIONS.map(action => <option key={action} value={action}>{describeFailurePolicy({ ...planDraft.failurePolicy, action, fallbackAgent: 'another agent' })}</option>)}</select></label>
+                    {planDraft.failurePolicy.action === 'retry' && <label className="text-xs text-gray-500">Step retries<input type="number" min="1" max="3" className={inputClass} value={planDraft.failurePolicy.retries} onChange={e => setFailurePolicy({ retries: Number(e.target.value) })} /></label>}
+                    {planDraft.failurePolicy.action === 'fallback' && <label className="text-xs text-gray-500">Fallback agent<select className={inputClass} value={planDraft.failurePolicy.fallbackAgent} onChange={e => setFailurePolicy({ fallbackAgent: e.target.value })}><option value="">Choose an agent</option>{agentNames.map(name => <option key={name} value={name}>{name}</option>)}</select></label>}
+                </div>
+                <_GuardrailSettings draft={guardrailDraft} setDraft={setGuardrailDraft} errors={guardrailErrors} setErrors={setGuardrailErrors} inputClass={inputClass} />
+                <div className="flex justify-end gap-2">
+                    <button onClick={onClose} className="px-4 py-2 text-sm rounded-lg hover:bg-gray-200 dark:hover:bg-gray-800 transition-colors">Cancel</button>
+                    <button onClick={() => {
+                        const guardrails = toGuardrailSettings(guardrailDraft);
+                        const errors = validateGuardrailSettings(guardrails);
+                        setGuardrailErrors(errors);
+                        if (errors.length > 0) return;
+                        onSave({ llm: draft, retrieval: normalizeRetrievalSettings(retrievalDraft), plan: planDraft, search: normalizeSearchSettings(searchDraft), ocr: ocrDraft, reliability: normalizeReliabilitySettings(reliabilityDraft), guardrails }); onClose();
+                    }} className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors">Save</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+// --- Guardrail Settings ---
+// Allowed domains are edited one per line; blank lines are dropped on save
+const toGuardrailSettings = (draft) => ({ ...draft, allowedDomains: draft.allowedDomains.map(d => d.trim().toLowerCase()).filter(Boolean) });
+const INJECTION_ACTION_LABELS = { off: 'Do not check', flag: 'Flag the passage', drop: 'Leave the passage out' };
+const LINK_POLICY_LABELS = { allow: 'Allow', warn: 'Warn', block: 'Block' };
+const _GuardrailSettings = ({ draft, setDraft, errors, setErrors, inputClass }) => {
+    const setRules = (field, rules) => setDraft(d => ({ ...d, [field]: rules }));
+    const exportPolicy = () => {
+        const settings = toGuardrailSettings(draft);
+        const found = validateGuardrailSettings(settings);
+        setErrors(found);
+        if (found.length === 0) downloadFile(JSON.stringify(exportGuardrailPolicy(settings), null, 2), 'guardrails.json', 'application/json');
+    };
+    const importPolicy = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try { setDraft(importGuardrailPolicy(JSON.parse(await file.text()))); setErrors([]); }
+        catch (err) { setErrors([`Could not import ${file.name}: ${err.message}`]); }
+    };
+    return (
+        <>
+            <h3 className="text-sm font-semibold mb-1 flex items-center"><ShieldAlert className="w-4 h-4 mr-1.5"/>Guardrails</h3>
+            <p className="text-xs text-gray-500 mb-3">Document passages, web pages, step outputs and the conversation history reach the model marked as untrusted data. Retrieved passages are checked against the injection rules, and the redaction rules are applied to every prompt and web search query before it leaves the browser. Share the rules with <strong>Export policy</strong>.</p>
+            <div className="grid grid-cols-3 gap-3 mb-3 items-end">
+                <label className="text-xs text-gray-500">Possible injections<select className={inputClass} value={draft.injection} onChange={e => setDraft(d => ({ ...d, injection: e.target.value }))}>{INJECTION_ACTIONS.map(a => <option key={a} value={a}>{INJECTION_ACTION_LABELS[a]}</option>)}</select></label>
+                <label className="text-xs text-gray-500">Links to other domains<select className={inputClass} value={draft.links} onChange={e => setDraft(d => ({ ...d, links: e.target.value }))}>{LINK_POLICIES.map(p => <option key={p} value={p}>{LINK_POLICY_LABELS[p]}</option>)}</select></label>
+                <label className="flex items-center gap-2 text-sm pb-2"><input type="checkbox" checked={draft.redaction} onChange={e => setDraft(d => ({ ...d, redaction: e.target.checked }))} />Redact before sending</label>
+                <label className="text-xs text-gray-500 col-span-3">Allowed link domains, one per line (subdomains included)<textarea className={inputClass} rows="2" value={draft.allowedDomains.join('\n')} onChange={e => setDraft(d => ({ ...d, allowedDomains: e.target.value.split('\n') }))} placeholder="wikipedia.org" /></label>
+            </div>
+            <_RuleList title="Injection rules" rules={draft.injectionRules} onChange={rules => setRules('injectionRules', rules)} inputClass={inputClass} />
+            <_RuleList title="Redaction rules" rules={draft.redactionRules} onChange={rules => setRules('redactionRules', rules)} inputClass={inputClass} />
+            {errors.length > 0 && <ul className="mb-3 text-xs text-red-500 list-disc list-inside">{errors.map(e => <li key={e}>{e}</li>)}</ul>}
+            <div className="flex items-center gap-2 mb-6">
+                <label className="flex items-center px-3 py-1.5 text-sm rounded-lg cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-800 transition-colors"><Upload className="w-4 h-4 mr-1"/>Import policy<input type="file" accept=".json,application/json" className="hidden" onChange={importPolicy} /></label>
+                <button onClick={exportPolicy} className="flex items-center px-3 py-1.5 text-sm rounded-lg hover:bg-gray-200 dark:hover:bg-gray-800 transition-colors"><Download className="w-4 h-4 mr-1"/>Export policy</button>
+            </div>
+        </>
+    );
+};
+// Patterns are JavaScript regular expressions; matching is always global
+const _RuleList = ({ title, rules, onChange, inputClass }) => {
+    const setRule = (index, changes) => onChange(rules.map((r, i) => i === index ? { ...r, ...changes } : r));
+    return (
+        <details className="mb-3">
+            <summary className="cursor-pointer text-xs font-medium text-gray-500">{title} ({rules.filter(r => r.enabled).length} of {rules.length} on)</summary>
+            <div className="mt-2 space-y-1">
+                {rules.map((rule, i) => (
+                    <div key={i} className="flex items-center gap-2">
+                        <input type="checkbox" checked={rule.enabled} onChange={e => setRule(i, { enabled: e.target.checked })} title="Use this rule" />
+                        <input className={`${inputClass} !w-1/3 !p-1 !text-xs`} value={rule.label} onChange={e => setRule(i, { label: e.target.value })} placeholder="Label" />
+                        <input className={`${inputClass} !p-1 !text-xs font-mono`} value={rule.pattern} onChange={e => setRule(i, { pattern: e.target.value })} placeholder="Regular expression" />
+                        <input className={`${inputClass} !w-12 !p-1 !text-xs font-mono`} value={rule.flags || ''} onChange={e => setRule(i, { flags: e.target.value })} placeholder="flags" title="Regular expression flags, e.g. i" />
+                        <button onClick={() => onChange(rules.filter((_, j) => j !== i))} title="Remove rule" className="p-1 text-gray-400 hover:text-red-500"><Trash2 className="w-4 h-4" /></button>
+                    </div>
+                ))}
+                <button onClick={() => onChange([...rules, { id: `custom-${Date.now().toString(36)}`, label: '', pattern: '', flags: 'i', enabled: true }])} className="flex items-center px-2 py-1 text-xs rounded-lg hover:bg-gray-200 dark:hover:bg-gray-800 transition-colors"><Plus className="w-3 h-3 mr-1"/>Add rule</button>
+            </div>
+        </details>
+    );
+};
+// Capabilities are edited as comma-separated text and split again on save
+const toAgentDraft = (agent) => ({ ...agent, capabilities: agent.capabilities.join(', ') });
+const fromAgentDraft = (draft) => ({ ...draft, capabilities: draft.capabilities.split(',').map(c => c.trim()).filter(Boolean) });
+const _AgentsPanel = ({ customAgents, onSave, onClose }) => {
+    const [drafts, setDrafts] = useState(() => customAgents.map(toAgentDraft));
+    const [errors, setErrors] = useState([]);
+    const inputClass = "w-full p-2 text-sm bg-gray-100 dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500";
+    const builtInNames = BUILT_IN_AGENTS.map(a => a.name);
+    const setField = (index, field, value) => setDrafts(prev => prev.map((a, i) => i === index ? { ...a, [field]: value } : a));
+    const toggleInput = (index, input) => { const { inputs } = drafts[index]; setField(index, 'inputs', inputs.includes(input) ? inputs.filter(i => i !== input) : [...inputs, input]); };
+    const addAgent = () => setDrafts(prev => [...prev, toAgentDraft(createCustomAgent([...builtInNames, ...prev.map(a => a.name)]))]);
+    // Returns the agents when every one of them is valid
+    const validate = () => {
+        const agents = drafts.map(fromAgentDraft);
+        const found = agents.flatMap((agent, i) => validateCustomAgent(agent, [...builtInNames, ...agents.filter((_, j) => j !== i).map(a => a.name)]));
+        setErrors(found);
+        return found.length === 0 ? agents : null;
+    };
+    const save = () => { const agents = validate(); if (agents) { onSave(agents); onClose(); } };
+    const exportAgents = () => { const agents = validate(); if (agents) downloadFile(JSON.stringify(exportCustomAgents(agents), null, 2), 'agents.json', 'application/json'); };
+    const importAgents = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try { setDrafts(importCustomAgents(JSON.parse(await file.text()), drafts.map(fromAgentDraft)).map(toAgentDraft)); setErrors([]); }
+        catch (err) { setErrors([`Could not import ${file.name}: ${err.message}`]); }
+    };
+    return (
+        <div className="fixed inset-0 z-20 bg-black/50 flex items-center justify-center p-4 animate-fade-in" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-900 rounded-xl shadow-xl w-full max-w-2xl max-h-full overflow-y-auto p-6" onClick={e => e.stopPropagation()}>
+                <div className="flex items-center justify-between mb-4"><h2 className="text-xl font-bold flex items-center"><Puzzle className="mr-3 text-blue-500"/>Agents</h2><button onClick={onClose} className="p-1 text-gray-400 hover:text-red-500 transition-colors"><XCircle className="w-5 h-5"/></button></div>
+                <h3 className="text-sm font-semibold mb-2">Built-in agents</h3>
+                <ul className="space-y-2 mb-6">
+                    {BUILT_IN_AGENTS.map(agent => {
+                        const Icon = AGENT_ICON_COMPONENTS[agent.icon];
+                        return (
+                            <li key={agent.name} className="flex items-start gap-3 text-sm">
+                                <span className={`flex-shrink-0 w-7 h-7 rounded-full flex items-center justify-center bg-gradient-to-tr ${agent.color}`}><Icon className="w-4 h-4 text-white" /></span>
+                                <div><p className="font-medium">{agent.name}</p><p className="text-xs text-gray-500">{agent.capabilities.join(' · ')}{agent.inputs.length > 0 && ` — uses ${agent.inputs.map(i => AGENT_INPUTS[i]).join(' and ')}`}</p></div>
+                            </li>
+                        );
+                    })}
+                </ul>
+                <h3 className="text-sm font-semibold mb-1">Custom agents</h3>
+                <p className="text-xs text-gray-500 mb-3">Custom agents send their system prompt and the task to their model, together with the inputs they use. The planner picks them by their description and capabilities.</p>
+                <div className="space-y-3 mb-4">
+                    {drafts.map((agent, i) => (
+                        <div key={i} className="p-3 rounded-lg border border-gray-200 dark:border-gray-700 space-y-2">
+                            <div className="grid grid-cols-2 gap-3">
+                                <label className="text-xs text-gray-500">Name<input className={inputClass} value={agent.name} onChange={e => setField(i, 'name', e.target.value)} /></label>
+                                <label className="text-xs text-gray-500">Capabilities<input className={inputClass} value={agent.capabilities} onChange={e => setField(i, 'capabilities', e.target.value)} placeholder="clause review, risk scoring" /></label>
+                            </div>
+                            <label className="block text-xs text-gray-500">Description<input className={inputClass} value={agent.description} onChange={e => setField(i, 'description', e.target.value)} placeholder="When should the planner use this agent?" /></label>
+                            <label className="block text-xs text-gray-500">System prompt<textarea className={inputClass} rows="3" value={agent.systemPrompt} onChange={e => setField(i, 'systemPrompt', e.target.value)} /></label>
+                            <div className="grid grid-cols-3 gap-3">
+                                <label className="text-xs text-gray-500">Icon<select className={inputClass} value={agent.icon} onChange={e => setField(i, 'icon', e.target.value)}>{AGENT_ICONS.map(name => <option key={name} value={name}>{name}</option>)}</select></label>
+                                <label className="text-xs text-gray-500">Colour<select className={inputClass} value={agent.color} onChange={e => setField(i, 'color', e.target.value)}>{AGENT_COLORS.map(color => <option key={color} value={color}>{color.match(/from-(\w+)/)[1]}</option>)}</select></label>
+                                <label className="text-xs text-gray-500">Status text<input className={inputClass} value={agent.thinkingText} onChange={e => setField(i, 'thinkingText', e.target.value)} placeholder="Working..." /></label>
+                            </div>
+                            <div className="flex items-center gap-4 text-xs text-gray-500">
+                                Uses:{Object.entries(AGENT_INPUTS).map(([input, label]) => <label key={input} className="flex items-center gap-1"><input type="checkbox" checked={agent.inputs.includes(input)} onChange={() => toggleInput(i, input)} />{label}</label>)}
+                                <button onClick={() => setDrafts(prev => prev.filter((_, j) => j !== i))} title="Delete agent" className="ml-auto p-1 text-gray-400 hover:text-red-500"><Trash2 className="w-4 h-4" /></button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+                {errors.length > 0 && <ul className="mb-4 text-xs text-red-500 list-disc list-inside">{errors.map(e => <li key={e}>{e}</li>)}</ul>}
+                <div className="flex items-center gap-2">
+                    <button onClick={addAgent} className="flex items-center px-3 py-1.5 text-sm rounded-lg hover:bg-gray-200 dark:hover:bg-gray-800 transition-colors"><Plus className="w-4 h-4 mr-1"/>Add agent</button>
+                    <label className="flex items-center px-3 py-1.5 text-sm rounded-lg cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-800 transition-colors"><Upload className="w-4 h-4 mr-1"/>Import<input type="file" accept=".json,application/json" className="hidden" onChange={importAgents} /></label>
+                    <button onClick={exportAgents} disabled={drafts.length === 0} className="flex items-center px-3 py-1.5 text-sm rounded-lg hover:bg-gray-200 dark:hover:bg-gray-800 disabled:opacity-40 transition-colors"><Download className="w-4 h-4 mr-1"/>Export</button>
+                    <button onClick={onClose} className="ml-auto px-4 py-2 text-sm rounded-lg hover:bg-gray-200 dark:hover:bg-gray-800 transition-colors">Cancel</button>
+                    <button onClick={save} className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors">Save</button>
+                </div>
+            </div>
+        </div>
+    );
+};
 const _AttachedImagePreview = ({ image, onRemove }) => (
     <div className="max-w-4xl mx-auto mb-2 p-2 bg-gray-100 dark:bg-gray-800/50 rounded-lg flex items-center justify-between animate-fade-in">
         <div className="flex items-center"><img src={`data:${image.type};base64,${image.content}`} alt="Attached" className="w-12 h-12 rounded-md object-cover"/><div className="ml-3"><p className="text-sm font-medium">{image.name}</p><p className="text-xs text-gray-500">Image attached to next prompt</p></div></div>
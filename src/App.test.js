@@ -1,8 +1,19 @@
+import 'fake-indexeddb/auto';
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+jest.mock('./workers');
+
+beforeAll(() => { Element.prototype.scrollIntoView = () => {}; });
+
+test('renders the platform with its greeting', async () => {
+  render(<App />);
+  expect(screen.getByText('Enterprise Agentic Platform')).toBeInTheDocument();
+  expect(await screen.findByText(/I am a multi-agent AI assistant/)).toBeInTheDocument();
+});
+
+test('accepts questions once the client-side model has loaded', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByPlaceholderText('Ask a multi-step question...')).toBeEnabled();
+  expect(screen.getByText('Client-Side AI Ready')).toBeInTheDocument();
 });
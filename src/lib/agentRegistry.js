@@ -0,0 +1,147 @@
+import { INSUFFICIENT_CONTEXT } from './grounding';
+
+// --- Agent Registry ---
+// Every agent is declared once, here or as a custom agent in the settings. The planner prompt, the agent
+// dispatch and the chat UI are all generated from these declarations:
+//   { name, description, capabilities, systemPrompt, inputs, icon, color, thinkingText, handler }
+// `handler` names the implementation the app runs for the agent; custom agents always use the 'prompt' handler,
+// which sends the system prompt, the task and the declared inputs (document excerpts, the attached image) to the model.
+// `icon` is the name of a lucide-react icon from AGENT_ICONS.
+const CUSTOM_AGENTS_STORAGE_KEY = 'eap.customAgents';
+const EXPORT_FORMAT = 'eap-agents';
+const EXPORT_VERSION = 1;
+const AGENT_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+export const AGENT_INPUTS = { documents: 'the uploaded documents', image: 'the attached image' };
+export const AGENT_ICONS = ['Bot', 'Book', 'Globe', 'Code', 'Sparkles', 'Image', 'Table', 'Shield', 'Scale', 'Briefcase', 'Landmark', 'Users', 'Mail', 'Wrench', 'Brain'];
+export const AGENT_COLORS = ['from-gray-500 to-gray-600', 'from-blue-500 to-sky-600', 'from-green-500 to-emerald-600', 'from-orange-500 to-amber-600', 'from-amber-500 to-yellow-600', 'from-purple-500 to-pink-600', 'from-teal-500 to-cyan-600', 'from-red-500 to-rose-600', 'from-indigo-500 to-violet-600'];
+export const DEFAULT_APPEARANCE = { icon: 'Bot', color: AGENT_COLORS[0], thinkingText: 'Working...' };
+
+export const BUILT_IN_AGENTS = [
+    {
+        name: 'KnowledgeAgent',
+        description: 'Searches through uploaded documents to answer questions, citing and verifying the passage behind every claim. Scanned PDFs and images are searchable through their OCR text, and an attached image is passed along with the question. Add file:<name> or type:<extension> to its prompt to restrict the search to specific files.',
+        capabilities: ['hybrid document search', 'per-claim citations', 'groundedness check'],
+        systemPrompt: `Based *only* on the context below, answer the user's question. End every sentence with the labels of the sources that support it, e.g. [S1] or [S1][S3], and do not state anything the sources do not say. If the context does not answer the question, reply with exactly ${INSUFFICIENT_CONTEXT}.`,
+        inputs: ['documents'],
+        icon: 'Book', color: 'from-blue-500 to-sky-600', thinkingText: 'Searching knowledge base...',
+        handler: 'knowledge',
+    },
+    {
+        name: 'WebSearchAgent',
+        description: 'Searches the web for real-time information and answers from the pages it fetched, citing their URLs.',
+        capabilities: ['current events', 'public information', 'cited web pages'],
+        systemPrompt: 'You are a web search agent. Answer the query using *only* the web pages below, and cite the pages you use with their number in square brackets, e.g. [1]. If the pages do not answer the query, say so.',
+        inputs: [],
+        icon: 'Globe', color: 'from-green-500 to-emerald-600', thinkingText: 'Searching the web...',
+        handler: 'webSearch',
+    },
+    {
+        name: 'CodeGenerationAgent',
+        description: 'Writes code in various programming languages. JavaScript is run in a sandbox and corrected until it works.',
+        capabilities: ['code generation', 'sandboxed JavaScript execution'],
+        systemPrompt: 'You are a code generation agent. Generate a code snippet for the request. Provide only the code in a markdown block tagged with its language, and prefer JavaScript unless another language is asked for.',
+        inputs: [],
+        icon: 'Code', color: 'from-orange-500 to-amber-600', thinkingText: 'Generating code...',
+        handler: 'code',
+    },
+    {
+        name: 'DataAnalysisAgent',
+        description: 'Computes exact answers from uploaded spreadsheets (totals, averages, group-bys, filters, rankings) by running code over their tables. Use it instead of KnowledgeAgent for any arithmetic on spreadsheet data. Add file:<name> to restrict it to specific files.',
+        capabilities: ['spreadsheet analysis', 'exact arithmetic', 'result tables'],
+        systemPrompt: 'You are a data analysis agent. Never estimate numbers; compute them.',
+        inputs: ['documents'],
+        icon: 'Table', color: 'from-teal-500 to-cyan-600', thinkingText: 'Computing over spreadsheets...',
+        handler: 'dataAnalysis',
+    },
+    {
+        name: 'ImageAnalysisAgent',
+        description: 'Analyzes an attached image.',
+        capabilities: ['vision'],
+        systemPrompt: '',
+        inputs: ['image'],
+        icon: 'Image', color: 'from-purple-500 to-pink-600', thinkingText: 'Analyzing image...',
+        handler: 'imageAnalysis',
+    },
+    {
+        name: 'SummarizationAgent',
+        description: 'Summarizes a given text or document.',
+        capabilities: ['summaries of text or of an uploaded file by name'],
+        systemPrompt: 'Provide a concise, professional summary of the following text:',
+        inputs: [],
+        icon: 'Sparkles', color: 'from-amber-500 to-yellow-600', thinkingText: 'Summarizing...',
+        handler: 'summarization',
+    },
+];
+
+// --- Registry ---
+export const createAgentRegistry = (customAgents = []) => {
+    const agents = [...BUILT_IN_AGENTS, ...customAgents.map(a => ({ ...DEFAULT_APPEARANCE, ...a, handler: 'prompt', custom: true }))];
+    const byName = new Map(agents.map(a => [a.name, a]));
+    return {
+        agents,
+        names: agents.map(a => a.name),
+        get: (name) => byName.get(name),
+        // Look of an agent in the chat; also covers callers such as the Planner that are not agents
+        appearance: (name) => ({ ...DEFAULT_APPEARANCE, ...byName.get(name) }),
+    };
+};
+
+// Prefixes the task an agent's handler built with the agent's instructions.
+export const withSystemPrompt = (agent, prompt) => (agent.systemPrompt?.trim() ? `${agent.systemPrompt.trim()}\n\n${prompt}` : prompt);
+
+// --- Custom Agents ---
+// Callers of the model that are not agents. Their names are reserved, since per-caller model settings and traces
+// are keyed by name.
+export const INTERNAL_CALLERS = ['Planner', 'Verifier'];
+
+export const createCustomAgent = (existingNames = []) => {
+    let n = 1;
+    while (existingNames.includes(`CustomAgent${n}`)) n++;
+    return { name: `CustomAgent${n}`, description: '', capabilities: [], systemPrompt: '', inputs: [], icon: 'Bot', color: AGENT_COLORS[0], thinkingText: '' };
+};
+
+export const validateCustomAgent = (agent, otherNames = []) => {
+    const errors = [];
+    if (!AGENT_NAME_PATTERN.test(agent.name || '')) errors.push('The name must start with a letter and use only letters, digits, "_" or "-".');
+    else if (INTERNAL_CALLERS.includes(agent.name)) errors.push(`"${agent.name}" is reserved for the app's own model calls.`);
+    else if (otherNames.includes(agent.name)) errors.push(`An agent called "${agent.name}" already exists.`);
+    if (!agent.description?.trim()) errors.push(`${agent.name || 'The agent'} needs a description so the planner knows when to use it.`);
+    if (!agent.systemPrompt?.trim()) errors.push(`${agent.name || 'The agent'} needs a system prompt.`);
+    if (!Array.isArray(agent.inputs) || agent.inputs.some(i => !(i in AGENT_INPUTS))) errors.push(`Inputs must be any of: ${Object.keys(AGENT_INPUTS).join(', ')}.`);
+    if (agent.icon && !AGENT_ICONS.includes(agent.icon)) errors.push(`Unknown icon "${agent.icon}".`);
+    return errors;
+};
+
+// Only the declarative fields are kept, so stored and imported agents cannot pick a built-in handler.
+const toCustomAgent = ({ name, description, capabilities, systemPrompt, inputs, icon, color, thinkingText }) => ({
+    name: String(name ?? '').trim(),
+    description: String(description ?? '').trim(),
+    capabilities: Array.isArray(capabilities) ? capabilities.map(String).filter(Boolean) : [],
+    systemPrompt: String(systemPrompt ?? ''),
+    inputs: Array.isArray(inputs) ? inputs : [],
+    icon: icon || DEFAULT_APPEARANCE.icon,
+    color: AGENT_COLORS.includes(color) ? color : DEFAULT_APPEARANCE.color,
+    thinkingText: String(thinkingText ?? ''),
+});
+
+export const loadCustomAgents = () => {
+    // Agents saved before their name was reserved are left out
+    try { return (JSON.parse(localStorage.getItem(CUSTOM_AGENTS_STORAGE_KEY) || '[]')).map(toCustomAgent).filter(a => !INTERNAL_CALLERS.includes(a.name)); }
+    catch (err) { console.error('Failed to load custom agents:', err); return []; }
+};
+export const saveCustomAgents = (agents) => localStorage.setItem(CUSTOM_AGENTS_STORAGE_KEY, JSON.stringify(agents.map(toCustomAgent)));
+
+export const exportCustomAgents = (agents) => ({ format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), agents: agents.map(toCustomAgent) });
+
+// Imported agents replace existing custom agents of the same name. Throws when the file or any agent is invalid.
+export const importCustomAgents = (data, existing = []) => {
+    if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.agents)) throw new Error('This file is not an agent export.');
+    if (data.version > EXPORT_VERSION) throw new Error(`Unsupported agent export version ${data.version}.`);
+    const imported = data.agents.map(toCustomAgent);
+    const builtInNames = BUILT_IN_AGENTS.map(a => a.name);
+    const errors = imported.flatMap((agent, i) => validateCustomAgent(agent, [...builtInNames, ...imported.slice(0, i).map(a => a.name)]));
+    if (errors.length > 0) throw new Error(errors.join(' '));
+    const importedNames = new Set(imported.map(a => a.name));
+    return [...existing.filter(a => !importedNames.has(a.name)), ...imported];
+};
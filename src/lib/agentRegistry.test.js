@@ -0,0 +1,45 @@
+import { BUILT_IN_AGENTS, createAgentRegistry, createCustomAgent, exportCustomAgents, importCustomAgents, loadCustomAgents, saveCustomAgents, validateCustomAgent, withSystemPrompt } from './agentRegistry';
+import { buildPlannerPrompt } from './planner';
+
+const contractAgent = { name: 'ContractReviewAgent', description: 'Reviews contracts for risky clauses.', capabilities: ['clause review'], systemPrompt: 'You are a contract lawyer.', inputs: ['documents'], icon: 'Scale', color: 'from-red-500 to-rose-600', thinkingText: 'Reviewing clauses...' };
+const builtInNames = BUILT_IN_AGENTS.map(a => a.name);
+
+test('registers custom agents after the built-in ones with the prompt handler', () => {
+    const registry = createAgentRegistry([{ ...contractAgent, handler: 'code' }]);
+    expect(registry.names).toEqual([...builtInNames, 'ContractReviewAgent']);
+    expect(registry.get('ContractReviewAgent')).toMatchObject({ handler: 'prompt', custom: true, icon: 'Scale' });
+    expect(registry.get('KnowledgeAgent').handler).toBe('knowledge');
+    expect(registry.appearance('Planner')).toMatchObject({ icon: 'Bot', thinkingText: 'Working...' });
+    expect(withSystemPrompt(registry.get('ContractReviewAgent'), 'Task: "x"')).toBe('You are a contract lawyer.\n\nTask: "x"');
+    expect(withSystemPrompt(registry.get('ImageAnalysisAgent'), 'describe it')).toBe('describe it');
+});
+
+test('generates the planner prompt from the registry', () => {
+    const prompt = buildPlannerPrompt({ prompt: 'check the NDA', history: '', agents: createAgentRegistry([contractAgent]).agents });
+    expect(prompt).toContain('- ContractReviewAgent: Reviews contracts for risky clauses. Capabilities: clause review. Needs: uploaded documents.');
+    expect(prompt).toContain('- ImageAnalysisAgent: Analyzes an attached image. Capabilities: vision. Needs: an attached image.');
+    expect(prompt).toMatch(/must be one of: .*SummarizationAgent, ContractReviewAgent\./);
+});
+
+test('validates custom agents', () => {
+    expect(validateCustomAgent(contractAgent, builtInNames)).toEqual([]);
+    expect(validateCustomAgent({ ...contractAgent, name: 'KnowledgeAgent' }, builtInNames)).toEqual(['An agent called "KnowledgeAgent" already exists.']);
+    expect(validateCustomAgent({ ...contractAgent, name: 'Planner' }, builtInNames)).toEqual(['"Planner" is reserved for the app\'s own model calls.']);
+    expect(validateCustomAgent({ ...contractAgent, name: 'Verifier' }, builtInNames)).toHaveLength(1);
+    expect(validateCustomAgent({ ...contractAgent, name: 'has space', systemPrompt: ' ', inputs: ['audio'] }, builtInNames)).toHaveLength(3);
+    expect(createCustomAgent(['CustomAgent1']).name).toBe('CustomAgent2');
+});
+
+test('persists, exports and imports custom agents', () => {
+    saveCustomAgents([{ ...contractAgent, handler: 'code', custom: true }]);
+    expect(loadCustomAgents()).toEqual([contractAgent]);
+    saveCustomAgents([contractAgent, { ...contractAgent, name: 'Verifier' }]);
+    expect(loadCustomAgents()).toEqual([contractAgent]);
+
+    const exported = JSON.parse(JSON.stringify(exportCustomAgents([contractAgent])));
+    expect(exported).toMatchObject({ format: 'eap-agents', version: 1, agents: [contractAgent] });
+    const existing = [{ ...contractAgent, description: 'old' }, { ...contractAgent, name: 'OtherAgent' }];
+    expect(importCustomAgents(exported, existing).map(a => [a.name, a.description])).toEqual([['OtherAgent', contractAgent.description], ['ContractReviewAgent', contractAgent.description]]);
+    expect(() => importCustomAgents({ format: 'eap-conversation' })).toThrow('not an agent export');
+    expect(() => importCustomAgents({ ...exported, agents: [{ ...contractAgent, name: 'WebSearchAgent' }] })).toThrow('already exists');
+});
@@ -0,0 +1,94 @@
+import { toCsvLine } from './documentParsing';
+
+// --- Structure-Aware Chunking ---
+// Chunks never cross a page, heading section or sheet, so every chunk carries exact provenance.
+// Text is split on paragraph and sentence boundaries within a token budget; spreadsheet rows are
+// grouped together with their header row.
+export const CHUNKER_VERSION = 3;
+const DEFAULT_OPTIONS = { maxTokens: 250, overlapSentences: 1 };
+
+// Rough token estimate (~4 characters per token for English text); good enough for budgeting.
+export const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+export const splitSentences = (text) => text.split(/(?<=[.!?…])["')\]]*\s+(?=["'([]?[\p{Lu}\p{N}•])/u).map(s => s.trim()).filter(Boolean);
+
+export const chunkDocument = (sections, options = {}) => {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    return sections.flatMap(section => (section.kind === 'table' ? chunkTable(section, opts) : chunkText(section, opts)));
+};
+
+// --- Text ---
+const chunkText = ({ text, meta }, { maxTokens, overlapSentences }) => {
+    // Each unit is a sentence; `paragraphStart` marks where a new paragraph begins.
+    const units = text.split(/\n\s*\n/).flatMap(paragraph => splitSentences(paragraph.replace(/\s*\n\s*/g, ' ')).flatMap(splitOversized(maxTokens)).map((sentence, i) => ({ sentence, paragraphStart: i === 0 })));
+    const chunks = [];
+    let current = [];
+    let carried = 0; // sentences at the start of `current` repeated from the previous chunk
+    const flush = () => {
+        chunks.push({ text: joinUnits(current), meta });
+        // Carry the last sentences over so a thought cut at a boundary keeps some context
+        current = current.slice(current.length - Math.min(overlapSentences, current.length - 1)).filter(u => estimateTokens(u.sentence) < maxTokens / 2);
+        carried = current.length;
+    };
+    units.forEach(unit => {
+        const overBudget = estimateTokens(joinUnits([...current, unit])) > maxTokens;
+        // Prefer to break at a paragraph boundary once the chunk is reasonably full
+        const fullEnough = unit.paragraphStart && estimateTokens(joinUnits(current)) > maxTokens * 0.75;
+        if (current.length > carried && (overBudget || fullEnough)) flush();
+        if (current.length === carried && estimateTokens(joinUnits([...current, unit])) > maxTokens) { current = []; carried = 0; }
+        current.push(unit);
+    });
+    if (current.length > carried) chunks.push({ text: joinUnits(current), meta });
+    return chunks;
+};
+
+const joinUnits = (units) => units.map((u, i) => (i > 0 && u.paragraphStart ? `\n\n${u.sentence}` : (i > 0 ? ` ${u.sentence}` : u.sentence))).join('');
+
+// A single sentence longer than the budget is split on word boundaries.
+const splitOversized = (maxTokens) => (sentence) => {
+    if (estimateTokens(sentence) <= maxTokens) return [sentence];
+    const pieces = [];
+    let piece = '';
+    sentence.split(/\s+/).forEach(word => {
+        if (piece && estimateTokens(`${piece} ${word}`) > maxTokens) { pieces.push(piece); piece = word; }
+        else piece = piece ? `${piece} ${word}` : word;
+    });
+    if (piece) pieces.push(piece);
+    return pieces;
+};
+
+// --- Tables ---
+const chunkTable = ({ header, headerRow, rows, columns, meta }, { maxTokens }) => {
+    const headerLine = toCsvLine(header);
+    const prefix = `Sheet: ${meta.sheet}\n${headerLine}`;
+    const chunks = [];
+    let group = [];
+    const flush = () => {
+        if (group.length === 0) return;
+        const range = `${columns[0]}${group[0].row}:${columns[1]}${group[group.length - 1].row}`;
+        chunks.push({ text: `${prefix}\n${group.map(r => toCsvLine(r.cells)).join('\n')}`, meta: { ...meta, range } });
+        group = [];
+    };
+    rows.forEach(row => {
+        const size = estimateTokens([prefix, ...group.map(r => toCsvLine(r.cells)), toCsvLine(row.cells)].join('\n'));
+        if (group.length > 0 && size > maxTokens) flush();
+        group.push(row);
+    });
+    flush();
+    // A sheet with only a header row still gets indexed
+    if (chunks.length === 0) chunks.push({ text: prefix, meta: { ...meta, range: `${columns[0]}${headerRow}:${columns[1]}${headerRow}` } });
+    return chunks;
+};
+
+// --- Citations ---
+// "file.pdf p.12", "Budget.xlsx › Q3!A10:F25", "Policy.docx › Scope › Exclusions", "Deck.pptx slide 4",
+// "scan.pdf p.3 (OCR)", "chart.png (image description)"
+export const formatCitation = (fileName, meta = {}) => {
+    if (meta.ocr) return `${formatCitation(fileName, { ...meta, ocr: false })} (OCR)`;
+    if (meta.caption) return `${fileName} (image description)`;
+    if (meta.page) return `${fileName} p.${meta.page}`;
+    if (meta.slide) return `${fileName} slide ${meta.slide}`;
+    if (meta.sheet) return `${fileName} › ${meta.sheet}${meta.range ? `!${meta.range}` : ''}`;
+    if (meta.heading) return `${fileName} › ${meta.heading}`;
+    return fileName;
+};
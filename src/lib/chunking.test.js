@@ -0,0 +1,46 @@
+import { chunkDocument, estimateTokens, formatCitation, splitSentences } from './chunking';
+
+test('splits sentences without breaking abbreviations in the middle of a sentence', () => {
+    expect(splitSentences('Revenue grew 4.5% in Q3. Costs fell! Why? e.g. margins.')).toEqual(['Revenue grew 4.5% in Q3.', 'Costs fell!', 'Why? e.g. margins.']);
+});
+
+test('keeps chunks within the token budget on sentence boundaries and carries page provenance', () => {
+    const sentence = (n) => `Sentence number ${n} talks about the contract terms in some detail.`;
+    const text = Array.from({ length: 12 }, (_, i) => sentence(i + 1)).join(' ');
+    const chunks = chunkDocument([{ kind: 'text', text, meta: { page: 12 } }], { maxTokens: 60, overlapSentences: 1 });
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(c => {
+        expect(estimateTokens(c.text)).toBeLessThanOrEqual(60);
+        expect(c.text).toMatch(/\.$/);
+        expect(c.meta).toEqual({ page: 12 });
+    });
+    // The last sentence of one chunk opens the next one
+    expect(chunks[1].text.startsWith(chunks[0].text.split('. ').pop())).toBe(true);
+});
+
+test('never merges separate sections into one chunk', () => {
+    const chunks = chunkDocument([
+        { kind: 'text', text: 'Intro text.', meta: { heading: 'Intro' } },
+        { kind: 'text', text: 'Scope text.', meta: { heading: 'Intro › Scope' } },
+    ]);
+    expect(chunks).toEqual([{ text: 'Intro text.', meta: { heading: 'Intro' } }, { text: 'Scope text.', meta: { heading: 'Intro › Scope' } }]);
+});
+
+test('groups spreadsheet rows with their header row and records the cell range', () => {
+    const rows = Array.from({ length: 20 }, (_, i) => ({ row: i + 10, cells: [`Vendor ${i}`, String(i * 100), 'Q3'] }));
+    const chunks = chunkDocument([{ kind: 'table', header: ['Vendor', 'Spend', 'Quarter'], headerRow: 9, rows, columns: ['A', 'C'], meta: { sheet: 'Q3' } }], { maxTokens: 50 });
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(c => expect(c.text.split('\n').slice(0, 2)).toEqual(['Sheet: Q3', 'Vendor,Spend,Quarter']));
+    expect(chunks[0].meta.range).toMatch(/^A10:C\d+$/);
+    expect(chunks[chunks.length - 1].meta.range).toMatch(/:C29$/);
+});
+
+test('formats audit-friendly citations', () => {
+    expect(formatCitation('file.pdf', { page: 12 })).toBe('file.pdf p.12');
+    expect(formatCitation('Budget.xlsx', { sheet: 'Q3', range: 'A10:F25' })).toBe('Budget.xlsx › Q3!A10:F25');
+    expect(formatCitation('Policy.docx', { heading: 'Scope › Exclusions' })).toBe('Policy.docx › Scope › Exclusions');
+    expect(formatCitation('notes.txt')).toBe('notes.txt');
+    expect(formatCitation('Deck.pptx', { slide: 4 })).toBe('Deck.pptx slide 4');
+    expect(formatCitation('scan.pdf', { page: 3, ocr: true })).toBe('scan.pdf p.3 (OCR)');
+    expect(formatCitation('chart.png', { caption: true })).toBe('chart.png (image description)');
+});
@@ -0,0 +1,50 @@
+import { formatLogs } from './sandbox';
+import { wrapUntrusted } from './guardrails';
+
+// --- Code Execution Loop ---
+// Shared by the agents that write JavaScript: generate code, run it in the sandbox and send failures back to
+// the model with the error and console output until it runs cleanly or the attempts run out.
+export const MAX_CODE_ATTEMPTS = 3;
+const JAVASCRIPT_LANGUAGES = ['js', 'javascript', 'mjs'];
+
+export const extractCodeBlock = (text) => {
+    const match = text.match(/```([\w+-]*)[^\n]*\n([\s\S]*?)```/);
+    return match ? { language: match[1].toLowerCase(), code: match[2].trim() } : null;
+};
+
+export const buildFixPrompt = ({ prompt, code, run }) => `${prompt}
+
+Your previous code failed when it was run.
+
+Code:
+\`\`\`javascript
+${code}
+\`\`\`
+
+${wrapUntrusted(`Error: ${run.error}${run.logs?.length > 0 ? `\n\nConsole output before the error:\n${formatLogs(run.logs)}` : ''}`, 'sandbox output')}
+
+Return the corrected code in a single \`\`\`javascript block.`;
+
+// `generate(prompt, attempt)` returns the model's reply (or null on failure); `execute(code)` returns a sandbox run.
+// Replies whose code is not JavaScript are returned without being executed. The sandbox output can echo data the
+// code read, so a failed run goes back to the model as `screenRun(run)` returns it (see guardrails.js).
+export const generateAndRun = async ({ prompt, generate, execute, screenRun = run => run, maxAttempts = MAX_CODE_ATTEMPTS }) => {
+    const attempts = [];
+    let request = prompt;
+    let reply = null;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        reply = await generate(request, attempt);
+        if (reply == null) break;
+        const block = extractCodeBlock(reply);
+        if (!block || !JAVASCRIPT_LANGUAGES.includes(block.language)) break;
+        const run = await execute(block.code);
+        attempts.push({ code: block.code, run });
+        if (run.ok) break;
+        request = buildFixPrompt({ prompt, code: block.code, run: screenRun(run) });
+    }
+    const last = attempts[attempts.length - 1];
+    return { reply, code: last?.code, run: last?.run, attempts };
+};
+
+// What the chat shows under an answer: the code that ran last, its console output and its result.
+export const summarizeExecution = ({ code, run, attempts }) => (run ? { code, attempts: attempts.length, ok: run.ok, result: run.result, error: run.error, timedOut: !!run.timedOut, logs: run.logs || [], durationMs: run.durationMs } : null);
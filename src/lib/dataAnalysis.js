@@ -0,0 +1,72 @@
+import { wrapUntrusted } from './guardrails';
+
+// --- Data Analysis ---
+// Spreadsheet tables kept with each indexed XLSX file are handed to sandboxed code as
+//   tables = [{ name, file, sheet, columns, rows: [{ <column>: value }] }]
+// so questions like "total Q3 spend by vendor" are computed instead of estimated by the model.
+const SAMPLE_ROWS = 3;
+const MAX_RESULT_CHARS = 4000;
+
+// Spreadsheet cells arrive formatted ("$1,200.50", "(300)", "12%"); numeric ones become numbers.
+// Values with a leading zero ("00123") are identifiers and stay text.
+export const coerceCell = (value) => {
+    const text = String(value ?? '').trim();
+    const normalized = text.replace(/^\((.*)\)$/, '-$1').replace(/[$€£¥,\s]/g, '');
+    if (/^-?0\d/.test(normalized)) return text;
+    if (/^-?(\d+\.?\d*|\.\d+)%$/.test(normalized)) return Number(normalized.slice(0, -1)) / 100;
+    if (/^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(normalized)) return Number(normalized);
+    return text;
+};
+
+// `files` are uploaded files carrying the table sections from parsing (see documentParsing.js).
+export const buildTables = (files) => files.flatMap(file => (file.tables || []).map(section => {
+    const columns = uniqueColumns(section.header);
+    return {
+        name: `${file.name} › ${section.meta.sheet}`,
+        file: file.name,
+        sheet: section.meta.sheet,
+        columns,
+        rows: section.rows.map(r => Object.fromEntries(columns.map((column, i) => [column, coerceCell(r.cells[i])]))),
+    };
+}));
+
+// The text that is screened for injections (see guardrails.js): every cell, one row per line.
+export const tableText = (table) => [table.columns, ...table.rows.map(row => Object.values(row))].map(cells => cells.join(' | ')).join('\n');
+
+export const describeTables = (tables) => tables.map((t, i) => `tables[${i}] "${t.name}" (${t.rows.length} rows)
+Columns: ${t.columns.map(c => JSON.stringify(c)).join(', ')}
+Sample rows: ${JSON.stringify(t.rows.slice(0, SAMPLE_ROWS))}`).join('\n\n');
+
+// `systemPrompt` is the agent's instructions from the registry (see agentRegistry.js).
+export const buildAnalysisPrompt = (question, tables, systemPrompt = '') => `${systemPrompt ? `${systemPrompt}\n\n` : ''}Answer the question by writing JavaScript that computes the answer from the spreadsheet tables below.
+
+The code runs as the body of an async function without DOM or network access. \`tables\` is an array of { name, file, sheet, columns, rows } where each row is an object keyed by column name, and numeric cells are already numbers.
+Finish with \`return\`: an array of plain objects (one per row) for tabular results, or a number or string for a single value. console.log output is shown to the user.
+
+Tables:
+${wrapUntrusted(describeTables(tables), 'spreadsheet tables')}
+
+Question: "${question}"
+
+Respond with the code only, in a single \`\`\`javascript block.`;
+
+export const buildAnswerPrompt = (question, result) => {
+    const json = JSON.stringify(result) ?? 'undefined';
+    return `Answer the question in a few sentences using only the computed result below. Do not recompute or invent numbers; the full result table is shown to the user under your answer.
+
+Question: "${question}"
+
+Computed result (JSON${json.length > MAX_RESULT_CHARS ? ', truncated' : ''}):
+${wrapUntrusted(json.slice(0, MAX_RESULT_CHARS), 'computed result')}`;
+};
+
+// --- Helpers ---
+const uniqueColumns = (header) => {
+    const seen = new Map();
+    return header.map((name, i) => {
+        const base = String(name ?? '').trim() || `Column ${i + 1}`;
+        const count = (seen.get(base) || 0) + 1;
+        seen.set(base, count);
+        return count > 1 ? `${base} (${count})` : base;
+    });
+};
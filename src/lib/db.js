@@ -0,0 +1,55 @@
+// --- IndexedDB Access ---
+// One database for everything the app keeps in the browser. Bump DB_VERSION and append a
+// migration when a new object store is needed; existing users are upgraded step by step.
+const DB_NAME = 'enterprise-agentic-platform';
+const MIGRATIONS = [
+    // v1: knowledge base documents and their embedded chunks
+    (db) => {
+        db.createObjectStore('documents', { keyPath: 'hash' });
+        db.createObjectStore('chunks', { keyPath: 'id' }).createIndex('byDocument', 'docHash');
+    },
+    // v2: saved conversations
+    (db) => {
+        db.createObjectStore('sessions', { keyPath: 'id' });
+    },
+    // v3: documents keyed by content hash and name, so identical files under different names are kept apart;
+    // their chunks stay keyed by hash and are shared
+    (db, tx) => {
+        tx.objectStore('documents').getAll().onsuccess = ({ target }) => {
+            db.deleteObjectStore('documents');
+            const documents = db.createObjectStore('documents', { keyPath: 'id' });
+            documents.createIndex('byHash', 'hash');
+            target.result.forEach(document => documents.put({ ...document, id: `${document.hash}:${document.name}` })); // see documentId in knowledgeStore.js
+        };
+    },
+];
+const DB_VERSION = MIGRATIONS.length;
+
+let dbPromise = null;
+
+export const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB is not available in this browser.')); return; }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                for (let version = event.oldVersion; version < DB_VERSION; version++) MIGRATIONS[version](request.result, request.transaction);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+};
+
+export const requestResult = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+export const transactionDone = (tx) => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+});
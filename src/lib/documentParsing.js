@@ -0,0 +1,282 @@
+import { hasTextLayer, recognizeImage, renderPdfPage } from './ocr';
+
+// --- Document Parsing ---
+// Turns an uploaded file into structured sections that keep their provenance:
+//   { kind: 'text', text, meta: { page, ocr? } | { slide } | { heading } | { ocr } | {} }
+//   { kind: 'table', header, rows: [{ row, cells }], columns: [first, last], meta: { sheet } }
+// Only uses APIs that also exist inside a Web Worker (no DOM). `onProgress` is called as pages are parsed
+// and may throw to abort parsing. With `ocr.enabled`, scanned PDF pages and images are run through OCR.
+const PDF_TYPE = 'application/pdf';
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const PPTX_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+const HTML_TYPE = 'text/html';
+const MARKDOWN_TYPE = 'text/markdown';
+const CSV_TYPE = 'text/csv';
+const EML_TYPE = 'message/rfc822';
+const FILE_TYPES = {
+    pdf: PDF_TYPE, docx: DOCX_TYPE, xlsx: XLSX_TYPE, pptx: PPTX_TYPE, html: HTML_TYPE, htm: HTML_TYPE, md: MARKDOWN_TYPE, markdown: MARKDOWN_TYPE,
+    csv: CSV_TYPE, eml: EML_TYPE, txt: 'text/plain', png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp',
+};
+export const SUPPORTED_EXTENSIONS = Object.keys(FILE_TYPES);
+const SKIPPED_HTML_ELEMENTS = /<(script|style|noscript|template|svg|nav|header|footer|aside|head)\b[\s\S]*?<\/\1>/gi;
+
+// Browsers report no type, or a generic one, for several of these formats (Markdown, EML, CSV on Windows), so the extension decides.
+export const detectFileType = (name, type = '') => FILE_TYPES[name.split('.').pop().toLowerCase()] || type || 'text/plain';
+
+export const parseDocument = async (arrayBuffer, { type, onProgress = () => {}, ocr = { enabled: false } }) => {
+    let sections;
+    if (type === PDF_TYPE) sections = await parsePdf(arrayBuffer, onProgress, ocr);
+    else if (type === DOCX_TYPE) sections = await parseDocx(arrayBuffer);
+    else if (type === XLSX_TYPE) sections = await parseXlsx(arrayBuffer);
+    else if (type === PPTX_TYPE) sections = await parsePptx(arrayBuffer, onProgress);
+    else if (type.startsWith('image/')) sections = ocr.enabled ? await parseImage(arrayBuffer, type, ocr, onProgress) : [];
+    else sections = parseText(new TextDecoder().decode(arrayBuffer), type);
+    return { textContent: sectionsToText(sections), sections };
+};
+
+// Formats that arrive as text; exported for the tests
+export const parseText = (text, type) => {
+    if (type === HTML_TYPE) return parseHtml(text);
+    if (type === MARKDOWN_TYPE) return parseMarkdown(text);
+    if (type === CSV_TYPE) return parseCsv(text);
+    if (type === EML_TYPE) return parseEml(text);
+    return [{ kind: 'text', text, meta: {} }];
+};
+
+// Plain-text rendering of a parsed document, used for summaries.
+export const sectionsToText = (sections) => sections.map(section => {
+    if (section.kind === 'table') return `Sheet: ${section.meta.sheet}\n\n${[section.header, ...section.rows.map(r => r.cells)].map(toCsvLine).join('\n')}`;
+    if (section.meta.heading) return `${section.meta.heading}\n${section.text}`;
+    return section.text;
+}).join('\n\n');
+
+// --- PDF: one section per page; pages without a text layer are read with OCR ---
+const parsePdf = async (arrayBuffer, onProgress, ocr) => {
+    const { getDocument } = await import('https://cdn.jsdelivr.net/npm/pdfjs-dist@4.3.136/build/pdf.min.mjs');
+    const pdfjsWorker = await import('https://cdn.jsdelivr.net/npm/pdfjs-dist@4.3.136/build/pdf.worker.min.mjs');
+    const pdf = await getDocument({ data: arrayBuffer, worker: pdfjsWorker }).promise;
+    const sections = [];
+    for (let i = 1; i <= pdf.numPages; i++) {
+        const page = await pdf.getPage(i);
+        const content = await page.getTextContent();
+        const text = content.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join('').replace(/[ \t]+\n/g, '\n').trim();
+        if (ocr.enabled && !hasTextLayer(text)) {
+            onProgress({ pagesParsed: i - 1, totalPages: pdf.numPages, ocrPage: i });
+            const recognized = await recognizeImage(await renderPdfPage(page), ocr);
+            if (recognized) sections.push({ kind: 'text', text: recognized, meta: { page: i, ocr: true } });
+        } else if (text) sections.push({ kind: 'text', text, meta: { page: i } });
+        onProgress({ pagesParsed: i, totalPages: pdf.numPages });
+    }
+    return sections;
+};
+
+// --- DOCX: one section per heading, with the heading path as provenance ---
+const parseDocx = async (arrayBuffer) => {
+    const mammoth = await import('https://cdn.jsdelivr.net/npm/mammoth@1.7.0/mammoth.browser.min.js');
+    const { value: html } = await mammoth.convertToHtml({ arrayBuffer });
+    return htmlToSections(html);
+};
+
+// Walks headings, paragraphs, list items and table rows of simple HTML (no DOM inside the worker)
+const htmlToSections = (html) => {
+    const builder = createSectionBuilder();
+    for (const [, tag, inner] of html.matchAll(/<(h[1-6]|p|li|tr)\b[^>]*>([\s\S]*?)<\/\1>/gi)) {
+        const text = decodeEntities(inner.replace(/<\/t[dh]>/gi, ' | ').replace(/<[^>]+>/g, '')).replace(/\s*\|\s*$/, '').replace(/\s+/g, ' ').trim();
+        if (!text) continue;
+        if (tag[0].toLowerCase() === 'h') builder.heading(Number(tag[1]), text);
+        else builder.paragraph(tag.toLowerCase() === 'li' ? `• ${text}` : text);
+    }
+    return builder.sections();
+};
+
+// --- HTML: page furniture is dropped; pages without block markup fall back to their plain text ---
+const parseHtml = (html) => {
+    const body = html.replace(/<!--[\s\S]*?-->/g, '').replace(SKIPPED_HTML_ELEMENTS, '');
+    const sections = htmlToSections(body);
+    if (sections.length > 0) return sections;
+    const text = decodeEntities(body.replace(/<(br|\/div|\/p)\b[^>]*>/gi, '\n').replace(/<[^>]+>/g, ' ')).replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+    return text ? [{ kind: 'text', text, meta: {} }] : [];
+};
+
+// --- Markdown: one section per heading; headings inside code fences are ignored ---
+const parseMarkdown = (markdown) => {
+    const builder = createSectionBuilder();
+    let lines = [];
+    let inFence = false;
+    const flushLines = () => { const text = stripMarkdown(lines.join('\n')); if (text) builder.paragraph(text); lines = []; };
+    markdown.split(/\r?\n/).forEach(line => {
+        if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+        const heading = !inFence && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) { flushLines(); builder.heading(heading[1].length, stripMarkdown(heading[2])); }
+        else lines.push(line);
+    });
+    flushLines();
+    return builder.sections();
+};
+const stripMarkdown = (text) => text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\(([^)]*)\)/g, '$1 ($2)')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/^\s*(```|~~~).*$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+// --- CSV: one table, like a spreadsheet sheet, so the data analysis agent can compute over it ---
+const parseCsv = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+    const rows = parseDelimited(text, delimiter).map((cells, i) => ({ row: i + 1, cells })).filter(r => r.cells.some(c => c.trim() !== ''));
+    if (rows.length === 0) return [];
+    const [headerRow, ...dataRows] = rows;
+    const width = Math.max(...rows.map(r => r.cells.length));
+    return [{ kind: 'table', header: headerRow.cells, headerRow: headerRow.row, rows: dataRows, columns: ['A', columnLetter(width - 1)], meta: { sheet: 'CSV' } }];
+};
+const parseDelimited = (text, delimiter) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else cell += char;
+        } else if (char === '"' && cell === '') quoted = true;
+        else if (char === delimiter) { row.push(cell); cell = ''; }
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell); rows.push(row); row = []; cell = '';
+        } else cell += char;
+    }
+    if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row); }
+    return rows;
+};
+
+// --- EML: headers plus the plain-text body (or the HTML body as text); attachments are listed by name ---
+const parseEml = (source) => {
+    const message = parseMimePart(source);
+    const header = (name) => decodeEncodedWords(message.headers[name] || '');
+    const { text, attachments } = extractMimeText(message);
+    const subject = header('subject');
+    const lines = [['From', header('from')], ['To', header('to')], ['Cc', header('cc')], ['Date', header('date')], ['Subject', subject]].filter(([, value]) => value).map(([name, value]) => `${name}: ${value}`);
+    if (attachments.length > 0) lines.push(`Attachments: ${attachments.join(', ')}`);
+    return [{ kind: 'text', text: `${lines.join('\n')}\n\n${text}`.trim(), meta: { heading: subject || '(no subject)' } }];
+};
+const parseMimePart = (source) => {
+    const split = source.search(/\r?\n\r?\n/);
+    const head = split === -1 ? source : source.slice(0, split);
+    const body = split === -1 ? '' : source.slice(split).replace(/^\r?\n\r?\n/, '');
+    const headers = {};
+    head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    });
+    return { headers, body };
+};
+const headerParam = (value = '', name) => value.match(new RegExp(`${name}\\*?=(?:"([^"]*)"|([^;\\s]+))`, 'i'))?.slice(1).find(v => v != null);
+const extractMimeText = ({ headers, body }) => {
+    const contentType = headers['content-type'] || 'text/plain';
+    const disposition = headers['content-disposition'] || '';
+    const fileName = headerParam(disposition, 'filename') || headerParam(contentType, 'name');
+    if (/^attachment/i.test(disposition) || (fileName && !/^text\//i.test(contentType))) return { text: '', attachments: [decodeEncodedWords(fileName || 'attachment')] };
+    if (/^multipart\//i.test(contentType)) {
+        const boundary = headerParam(contentType, 'boundary');
+        const parts = boundary ? body.split(`--${boundary}`).slice(1).filter(p => !p.startsWith('--')).map(p => extractMimeText(parseMimePart(p.replace(/^\r?\n/, '')))) : [];
+        const attachments = parts.flatMap(p => p.attachments);
+        // multipart/alternative carries the same text several times; keep the first (plain) one
+        const texts = parts.map(p => p.text).filter(Boolean);
+        return { text: (/alternative/i.test(contentType) ? texts.slice(0, 1) : texts).join('\n\n'), attachments };
+    }
+    const decoded = decodeTransfer(body, headers['content-transfer-encoding'], headerParam(contentType, 'charset'));
+    return { text: /^text\/html/i.test(contentType) ? parseHtml(decoded).map(s => s.text).join('\n\n') : decoded.trim(), attachments: [] };
+};
+const decodeBytes = (bytes, charset = 'utf-8') => {
+    try { return new TextDecoder(charset).decode(bytes); } catch { return new TextDecoder().decode(bytes); }
+};
+const decodeTransfer = (body, encoding = '', charset) => {
+    if (/base64/i.test(encoding)) return decodeBytes(Uint8Array.from(atob(body.replace(/\s+/g, '')), c => c.charCodeAt(0)), charset);
+    if (/quoted-printable/i.test(encoding)) return decodeQuotedPrintable(body.replace(/=\r?\n/g, ''), charset);
+    return body;
+};
+const decodeQuotedPrintable = (text, charset) => decodeBytes(Uint8Array.from(text.replace(/=([0-9A-F]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16))), c => c.charCodeAt(0) & 0xff), charset);
+// RFC 2047 words such as =?UTF-8?B?...?= in subjects and addresses
+const decodeEncodedWords = (text) => text.replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=\s*/gi, (m, charset, encoding, data) => (encoding.toUpperCase() === 'B'
+    ? decodeTransfer(data, 'base64', charset)
+    : decodeQuotedPrintable(data.replace(/_/g, ' '), charset)));
+
+// --- PPTX: one section per slide, including its speaker notes ---
+const parsePptx = async (arrayBuffer, onProgress) => {
+    const { default: JSZip } = await import('https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm');
+    const zip = await JSZip.loadAsync(arrayBuffer);
+    const slideNumber = (path) => Number(path.match(/slide(\d+)\.xml$/)[1]);
+    const slides = Object.keys(zip.files).filter(path => /^ppt\/slides\/slide\d+\.xml$/.test(path)).sort((a, b) => slideNumber(a) - slideNumber(b));
+    const sections = [];
+    for (const [i, path] of slides.entries()) {
+        const text = slideText(await zip.file(path).async('string'));
+        // Notes are linked from the slide's relationships rather than numbered like the slide
+        const rels = await zip.file(path.replace('slides/', 'slides/_rels/').replace(/\.xml$/, '.xml.rels'))?.async('string');
+        const notesTarget = rels?.match(/Target="\.\.\/notesSlides\/([^"]+)"/)?.[1];
+        const notesXml = notesTarget && await zip.file(`ppt/notesSlides/${notesTarget}`)?.async('string');
+        const notes = notesXml ? slideText(notesXml).replace(/^\d+$/m, '').trim() : '';
+        const content = [text, notes && `Notes: ${notes}`].filter(Boolean).join('\n\n');
+        if (content) sections.push({ kind: 'text', text: content, meta: { slide: slideNumber(path) } });
+        onProgress({ pagesParsed: i + 1, totalPages: slides.length });
+    }
+    return sections;
+};
+export const slideText = (xml) => [...xml.matchAll(/<a:p\b[^>]*>([\s\S]*?)<\/a:p>/g)]
+    .map(([, paragraph]) => decodeEntities([...paragraph.matchAll(/<a:t>([\s\S]*?)<\/a:t>/g)].map(t => t[1]).join('')).trim())
+    .filter(Boolean).join('\n');
+
+// --- Images: OCR text of the whole image ---
+const parseImage = async (arrayBuffer, type, ocr, onProgress) => {
+    onProgress({ ocrPage: 1 });
+    const text = await recognizeImage(new Blob([arrayBuffer], { type }), ocr);
+    return text ? [{ kind: 'text', text, meta: { ocr: true } }] : [];
+};
+
+// --- XLSX: one table per sheet, keeping spreadsheet row numbers and columns ---
+const parseXlsx = async (arrayBuffer) => {
+    const XLSX = await import('https://cdn.jsdelivr.net/npm/xlsx@0.18.5/xlsx.mjs');
+    const workbook = XLSX.read(arrayBuffer, { type: 'array' });
+    return workbook.SheetNames.map(sheetName => {
+        const sheet = workbook.Sheets[sheetName];
+        if (!sheet['!ref']) return null;
+        const range = XLSX.utils.decode_range(sheet['!ref']);
+        const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: true, raw: false, defval: '' })
+            .map((cells, i) => ({ row: range.s.r + i + 1, cells: cells.map(c => String(c)) }))
+            .filter(r => r.cells.some(c => c.trim() !== ''));
+        if (rows.length === 0) return null;
+        const [headerRow, ...dataRows] = rows;
+        return {
+            kind: 'table',
+            header: headerRow.cells,
+            headerRow: headerRow.row,
+            rows: dataRows,
+            columns: [XLSX.utils.encode_col(range.s.c), XLSX.utils.encode_col(range.e.c)],
+            meta: { sheet: sheetName },
+        };
+    }).filter(Boolean);
+};
+
+// --- Helpers ---
+// Collects paragraphs into one section per heading, with the heading path as provenance
+const createSectionBuilder = () => {
+    const sections = [];
+    const headingPath = [];
+    let paragraphs = [];
+    const flush = () => {
+        if (paragraphs.length > 0) sections.push({ kind: 'text', text: paragraphs.join('\n\n'), meta: headingPath.length > 0 ? { heading: headingPath.filter(Boolean).join(' › ') } : {} });
+        paragraphs = [];
+    };
+    return {
+        heading: (level, text) => { flush(); headingPath.length = level; headingPath[level - 1] = text; },
+        paragraph: (text) => paragraphs.push(text),
+        sections: () => { flush(); return sections; },
+    };
+};
+const columnLetter = (index) => (index >= 26 ? columnLetter(Math.floor(index / 26) - 1) : '') + String.fromCharCode(65 + (index % 26));
+export const toCsvLine = (cells) => cells.map(c => (/[",\n]/.test(c) ? `"${c.replace(/"/g, '""')}"` : c)).join(',');
+const decodeEntities = (text) => text.replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (m, e) => ({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' }[e]));
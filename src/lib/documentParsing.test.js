@@ -0,0 +1,75 @@
+import { TextDecoder } from 'util';
+import { detectFileType, parseText, slideText } from './documentParsing';
+
+// jsdom does not provide TextDecoder, which the EML parser needs for encoded bodies
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+test('detects the file type from the extension', () => {
+    expect(detectFileType('Notes.MD', '')).toBe('text/markdown');
+    expect(detectFileType('mail.eml', 'application/octet-stream')).toBe('message/rfc822');
+    expect(detectFileType('data.csv', 'application/vnd.ms-excel')).toBe('text/csv');
+    expect(detectFileType('archive.zip', 'application/zip')).toBe('application/zip');
+});
+
+test('parses HTML and Markdown into sections under their headings', () => {
+    const html = '<html><head><title>T</title><style>p{}</style></head><body><nav><p>Menu</p></nav><h1>Guide</h1><p>Intro &amp; scope.</p><h2>Setup</h2><ul><li>Install it</li></ul><script>x()</script></body></html>';
+    expect(parseText(html, 'text/html')).toEqual([
+        { kind: 'text', text: 'Intro & scope.', meta: { heading: 'Guide' } },
+        { kind: 'text', text: '• Install it', meta: { heading: 'Guide › Setup' } },
+    ]);
+    expect(parseText('<div>Just <b>text</b></div>', 'text/html')).toEqual([{ kind: 'text', text: 'Just text', meta: {} }]);
+    const markdown = 'Preface.\n\n# Guide\nRead **this** [link](https://a.example).\n\n```sh\n# not a heading\n```\n## Setup\nRun it.';
+    expect(parseText(markdown, 'text/markdown')).toEqual([
+        { kind: 'text', text: 'Preface.', meta: {} },
+        { kind: 'text', text: 'Read this link (https://a.example).\n\n# not a heading', meta: { heading: 'Guide' } },
+        { kind: 'text', text: 'Run it.', meta: { heading: 'Guide › Setup' } },
+    ]);
+});
+
+test('parses CSV into a table with quoted fields and a detected delimiter', () => {
+    const [table] = parseText('Region;Note;Sales\r\nNorth;"Says ""hi""; twice";10\r\n\r\nSouth;"multi\nline";20\r\n', 'text/csv');
+    expect(table).toMatchObject({ kind: 'table', header: ['Region', 'Note', 'Sales'], headerRow: 1, columns: ['A', 'C'], meta: { sheet: 'CSV' } });
+    expect(table.rows).toEqual([{ row: 2, cells: ['North', 'Says "hi"; twice', '10'] }, { row: 4, cells: ['South', 'multi\nline', '20'] }]);
+    expect(parseText('', 'text/csv')).toEqual([]);
+});
+
+test('parses an email with encoded headers, the plain-text part and attachment names', () => {
+    const eml = [
+        'From: Ana <ana@example.com>',
+        'To: team@example.com',
+        'Subject: =?UTF-8?B?QnVkZ2V0IMO8YmVyc2ljaHQ=?=',
+        'Content-Type: multipart/mixed; boundary="outer"',
+        '',
+        '--outer',
+        'Content-Type: multipart/alternative; boundary="inner"',
+        '',
+        '--inner',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: quoted-printable',
+        '',
+        'The budget is 1.500 =E2=82=AC per per=',
+        'son.',
+        '--inner',
+        'Content-Type: text/html',
+        '',
+        '<p>The budget is 1.500 &euro;</p>',
+        '--inner--',
+        '--outer',
+        'Content-Type: application/pdf; name="plan.pdf"',
+        'Content-Disposition: attachment; filename="plan.pdf"',
+        'Content-Transfer-Encoding: base64',
+        '',
+        'JVBERi0=',
+        '--outer--',
+    ].join('\r\n');
+    expect(parseText(eml, 'message/rfc822')).toEqual([{
+        kind: 'text',
+        text: 'From: Ana <ana@example.com>\nTo: team@example.com\nSubject: Budget übersicht\nAttachments: plan.pdf\n\nThe budget is 1.500 € per person.',
+        meta: { heading: 'Budget übersicht' },
+    }]);
+});
+
+test('reads slide text paragraph by paragraph', () => {
+    const xml = '<p:sld><a:p><a:r><a:t>Q3 </a:t></a:r><a:r><a:t>results</a:t></a:r></a:p><a:p><a:r><a:t>Revenue &amp; costs</a:t></a:r></a:p><a:p/></p:sld>';
+    expect(slideText(xml)).toBe('Q3 results\nRevenue & costs');
+});
@@ -0,0 +1,114 @@
+import { tokenize } from './retrieval';
+import { extractJson } from './planner';
+import { wrapUntrusted } from './guardrails';
+
+// --- Answer Grounding ---
+// The KnowledgeAgent's context labels every retrieved passage [S1], [S2], ... and the model ends each sentence
+// with the labels of the passages that support it. The answer is then split into claims (sentences with their
+// markers) and each claim is checked against the passages it cites: by a verification prompt when the model
+// returns usable verdicts, otherwise by how many of the claim's terms and numbers occur in the cited passages.
+//   grounding = { claims: [{ start, end, text, citations: [1, 3], status, support }], score, level, unsupported, verifiedBy }
+// `start`/`end` are offsets into the answer text, so the UI can mark each claim in place.
+export const INSUFFICIENT_CONTEXT = 'INSUFFICIENT_CONTEXT';
+const SUPPORTED_OVERLAP = 0.6;
+const PARTIAL_OVERLAP = 0.3;
+const HIGHLIGHT_OVERLAP = 0.3;
+const CLAIM_STATUSES = ['supported', 'partial', 'unsupported'];
+const MARKER_PATTERN = /\[S(\d+)\]/g;
+// A claim ends after sentence punctuation and any markers following it, or at a line break
+const CLAIM_END_PATTERN = /[.!?]["')\]]*(?:\s*\[S\d+\])*(?=\s|$)|\n+/g;
+
+export const sourceLabel = (index) => `S${index + 1}`;
+
+export const buildGroundedContext = (sources) => sources.map((s, i) => `Source [${sourceLabel(i)}] (${s.citation || s.fileName}):\n${s.chunk}`).join('\n\n---\n\n');
+
+// True when the model said the context does not answer the question
+export const isDeclined = (text) => (text || '').trim().startsWith(INSUFFICIENT_CONTEXT);
+
+// --- Claims ---
+export const splitClaims = (text) => {
+    const claims = [];
+    let start = 0;
+    const addClaim = (end) => {
+        const segment = text.slice(start, end);
+        const offset = segment.length - segment.trimStart().length;
+        const citations = [...new Set([...segment.matchAll(MARKER_PATTERN)].map(m => Number(m[1])))];
+        const claimText = segment.replace(MARKER_PATTERN, '').replace(/\s+/g, ' ').replace(/\s+([.!?,;:])/g, '$1').trim();
+        if (/[\p{L}\p{N}]/u.test(claimText)) claims.push({ start: start + offset, end: start + segment.trimEnd().length, text: claimText, citations });
+        start = end;
+    };
+    for (const match of text.matchAll(CLAIM_END_PATTERN)) addClaim(match.index + match[0].length);
+    if (start < text.length) addClaim(text.length);
+    return claims;
+};
+
+// Share of the claim's terms found in the passages; numbers the passages do not contain make a claim partial at best.
+export const lexicalSupport = (claimText, passages) => {
+    const terms = [...new Set(tokenize(claimText))];
+    if (terms.length === 0 || passages.length === 0) return { support: 0, status: 'unsupported' };
+    const passageTerms = new Set(passages.flatMap(p => tokenize(p)));
+    const support = terms.filter(t => passageTerms.has(t)).length / terms.length;
+    const missingNumber = terms.some(t => /\d/.test(t) && !passageTerms.has(t));
+    const status = support >= SUPPORTED_OVERLAP && !missingNumber ? 'supported' : support >= PARTIAL_OVERLAP ? 'partial' : 'unsupported';
+    return { support, status };
+};
+
+// --- Verification ---
+export const buildVerificationPrompt = (claims, sources) => `You are a fact-checking agent. For each numbered claim, decide whether the sources it cites support it.
+- "supported": everything the claim states is in the cited sources.
+- "partial": part of the claim is in the cited sources, part is not.
+- "unsupported": the cited sources do not state it, or the claim cites no source.
+
+Sources:
+${wrapUntrusted(buildGroundedContext(sources), 'cited sources')}
+
+Claims:
+${claims.map((c, i) => `${i + 1}. ${c.text} (cites: ${c.citations.length > 0 ? c.citations.map(n => `S${n}`).join(', ') : 'none'})`).join('\n')}
+
+Respond with a single JSON object: {"verdicts": [{"claim": <number>, "verdict": "supported" | "partial" | "unsupported"}]}`;
+
+// Returns a verdict per claim index, or null when the response cannot be used.
+export const parseVerification = (text, claimCount) => {
+    try {
+        const verdicts = extractJson(text || '').verdicts;
+        if (!Array.isArray(verdicts)) return null;
+        const byClaim = new Map(verdicts.filter(v => CLAIM_STATUSES.includes(v?.verdict)).map(v => [Number(v.claim) - 1, v.verdict]));
+        return byClaim.size === claimCount ? byClaim : null;
+    } catch { return null; }
+};
+
+// `verdicts` come from parseVerification; without them the lexical check decides. A claim is never
+// supported by a source it does not cite, so uncited claims and claims citing unknown sources are unsupported.
+export const verifyAnswer = (text, sources, verdicts = null) => {
+    const claims = splitClaims(text).map((claim, i) => {
+        const cited = claim.citations.filter(n => n >= 1 && n <= sources.length).map(n => sources[n - 1].chunk);
+        const lexical = lexicalSupport(claim.text, cited);
+        if (cited.length === 0) return { ...claim, status: 'unsupported', support: 0 };
+        return { ...claim, status: verdicts?.get(i) || lexical.status, support: lexical.support };
+    });
+    const credit = { supported: 1, partial: 0.5, unsupported: 0 };
+    const score = claims.length > 0 ? claims.reduce((sum, c) => sum + credit[c.status], 0) / claims.length : 0;
+    return {
+        claims,
+        score,
+        level: score >= 0.8 ? 'high' : score >= 0.5 ? 'medium' : 'low',
+        unsupported: claims.filter(c => c.status === 'unsupported').length,
+        verifiedBy: verdicts ? 'model' : 'overlap',
+    };
+};
+
+// Numbers of the sources the answer cites, in the order they are first cited
+export const citedSources = (grounding) => [...new Set(grounding.claims.flatMap(c => c.citations))];
+
+// --- Highlighting ---
+// Splits a passage into sentences and marks the ones that share enough terms with the claim (at least the best one).
+export const highlightPassage = (passage, claimText) => {
+    const sentences = passage.match(/[^.!?\n]+(?:[.!?]+["')\]]*|\n+|$)\s*/g) || [passage];
+    const claimTerms = new Set(tokenize(claimText));
+    const overlaps = sentences.map(s => {
+        const terms = [...new Set(tokenize(s))];
+        return claimTerms.size === 0 || terms.length === 0 ? 0 : terms.filter(t => claimTerms.has(t)).length / Math.min(terms.length, claimTerms.size);
+    });
+    const best = Math.max(...overlaps);
+    return sentences.map((text, i) => ({ text, highlight: best > 0 && (overlaps[i] >= HIGHLIGHT_OVERLAP || overlaps[i] === best) }));
+};
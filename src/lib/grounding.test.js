@@ -0,0 +1,46 @@
+import { buildGroundedContext, buildVerificationPrompt, citedSources, highlightPassage, isDeclined, parseVerification, splitClaims, verifyAnswer } from './grounding';
+
+const sources = [
+    { citation: 'policy.pdf p.2', chunk: 'Employees may work remotely up to three days per week. Requests need manager approval.' },
+    { citation: 'benefits.docx', chunk: 'The annual training budget is 1,500 EUR per employee.' },
+];
+const answer = 'Employees may work remotely up to three days per week [S1]. The training budget is 2,000 EUR per year. [S2]\nParking is free for everyone.';
+
+test('splits an answer into claims with their citations and offsets', () => {
+    const claims = splitClaims(answer);
+    expect(claims.map(c => [c.text, c.citations])).toEqual([
+        ['Employees may work remotely up to three days per week.', [1]],
+        ['The training budget is 2,000 EUR per year.', [2]],
+        ['Parking is free for everyone.', []],
+    ]);
+    expect(answer.slice(claims[1].start, claims[1].end)).toBe('The training budget is 2,000 EUR per year. [S2]');
+    expect(splitClaims('Version 3.5 shipped [S1][S2].').map(c => c.citations)).toEqual([[1, 2]]);
+});
+
+test('flags unsupported claims and scores groundedness by term overlap', () => {
+    const grounding = verifyAnswer(answer, sources);
+    expect(grounding.claims.map(c => c.status)).toEqual(['supported', 'partial', 'unsupported']);
+    expect(grounding).toMatchObject({ score: 0.5, level: 'medium', unsupported: 1, verifiedBy: 'overlap' });
+    expect(citedSources(grounding)).toEqual([1, 2]);
+    expect(verifyAnswer('Remote work is allowed [S7].', sources).claims[0].status).toBe('unsupported');
+});
+
+test('prefers complete model verdicts over the overlap check', () => {
+    const claims = splitClaims(answer);
+    expect(buildVerificationPrompt(claims, sources)).toContain('3. Parking is free for everyone. (cites: none)');
+    const verdicts = parseVerification('```json\n{"verdicts":[{"claim":1,"verdict":"supported"},{"claim":2,"verdict":"unsupported"},{"claim":3,"verdict":"supported"}]}\n```', claims.length);
+    const grounding = verifyAnswer(answer, sources, verdicts);
+    expect(grounding.claims.map(c => c.status)).toEqual(['supported', 'unsupported', 'unsupported']);
+    expect(grounding.verifiedBy).toBe('model');
+    expect(parseVerification('{"verdicts":[{"claim":1,"verdict":"supported"}]}', 3)).toBeNull();
+    expect(parseVerification('not json', 1)).toBeNull();
+});
+
+test('labels the context, detects declines and highlights the supporting sentence', () => {
+    expect(buildGroundedContext(sources)).toMatch(/^Source \[S1\] \(policy\.pdf p\.2\):\nEmployees/);
+    expect(isDeclined(' INSUFFICIENT_CONTEXT')).toBe(true);
+    expect(isDeclined('The policy says...')).toBe(false);
+    const parts = highlightPassage(sources[0].chunk, 'Remote work needs approval from a manager');
+    expect(parts.map(p => p.highlight)).toEqual([false, true]);
+    expect(parts.map(p => p.text).join('')).toBe(sources[0].chunk);
+});
@@ -0,0 +1,111 @@
+import { openDb, requestResult, transactionDone } from './db';
+
+// --- Persistent Knowledge Base ---
+// Chunks are keyed by the SHA-256 of the file's bytes, so an unchanged file is never parsed or embedded twice.
+// Documents are keyed by hash and name: the same content uploaded under two names is two documents sharing one
+// set of chunks, which are only deleted with the last document that uses them. Stored chunks carry no file name;
+// each document's copy gets its own when the knowledge base is loaded.
+const EXPORT_FORMAT = 'eap-knowledge-base';
+const EXPORT_VERSION = 2;
+
+export const hashContent = async (arrayBuffer) => {
+    const digest = await crypto.subtle.digest('SHA-256', arrayBuffer);
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+export const documentId = (hash, name) => `${hash}:${name}`;
+
+const withFileName = (chunks, name) => chunks.map(chunk => ({ ...chunk, fileName: name }));
+const withoutFileName = ({ fileName, ...chunk }) => chunk;
+
+export const loadKnowledgeBase = async () => {
+    const db = await openDb();
+    const tx = db.transaction(['documents', 'chunks'], 'readonly');
+    const [documents, chunks] = await Promise.all([requestResult(tx.objectStore('documents').getAll()), requestResult(tx.objectStore('chunks').getAll())]);
+    // Files added in the same millisecond keep a stable order
+    documents.sort((a, b) => a.addedAt - b.addedAt || a.id.localeCompare(b.id));
+    return { documents, chunks: documents.flatMap(d => withFileName(chunks.filter(c => c.docHash === d.hash), d.name)) };
+};
+
+// Any stored document with this content, with its chunks, so a file can reuse them under its own name
+export const getDocument = async (hash) => {
+    const db = await openDb();
+    const tx = db.transaction(['documents', 'chunks'], 'readonly');
+    const document = await requestResult(tx.objectStore('documents').index('byHash').get(hash));
+    if (!document) return null;
+    const chunks = await requestResult(tx.objectStore('chunks').index('byDocument').getAll(hash));
+    return { document, chunks };
+};
+
+// Replaces the chunks of the document's content, also for other documents sharing it
+export const saveDocument = async (document, chunks) => {
+    const db = await openDb();
+    const tx = db.transaction(['documents', 'chunks'], 'readwrite');
+    const stored = { ...document, id: documentId(document.hash, document.name) };
+    tx.objectStore('documents').put(stored);
+    const oldKeys = await requestResult(tx.objectStore('chunks').index('byDocument').getAllKeys(document.hash));
+    oldKeys.forEach(key => tx.objectStore('chunks').delete(key));
+    chunks.forEach(chunk => tx.objectStore('chunks').put(withoutFileName(chunk)));
+    await transactionDone(tx);
+    return stored;
+};
+
+export const deleteDocument = async (id) => {
+    const db = await openDb();
+    const tx = db.transaction(['documents', 'chunks'], 'readwrite');
+    const documents = tx.objectStore('documents');
+    const document = await requestResult(documents.get(id));
+    if (!document) return;
+    documents.delete(id);
+    const otherUsers = await requestResult(documents.index('byHash').count(document.hash));
+    if (otherUsers === 0) {
+        const chunkKeys = await requestResult(tx.objectStore('chunks').index('byDocument').getAllKeys(document.hash));
+        chunkKeys.forEach(key => tx.objectStore('chunks').delete(key));
+    }
+    await transactionDone(tx);
+};
+
+// Drops older versions of a file that was re-uploaded with different content under the same name.
+export const deleteOtherVersions = async (name, keepHash) => {
+    const { documents } = await loadKnowledgeBase();
+    for (const d of documents.filter(d => d.name === name && d.hash !== keepHash)) await deleteDocument(d.id);
+};
+
+// --- Export / Import ---
+export const exportKnowledgeBase = async () => {
+    const db = await openDb();
+    const tx = db.transaction(['documents', 'chunks'], 'readonly');
+    const [documents, chunks] = await Promise.all([requestResult(tx.objectStore('documents').getAll()), requestResult(tx.objectStore('chunks').getAll())]);
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        documents,
+        chunks: chunks.map(c => ({ ...c, embedding: Array.from(c.embedding) })),
+    };
+};
+
+// Version 1 exports keyed documents by hash alone and kept a file name on every chunk.
+export const validateKnowledgeBaseExport = (data) => {
+    if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.documents) || !Array.isArray(data.chunks)) throw new Error('This file is not a knowledge base export.');
+    if (data.version > EXPORT_VERSION) throw new Error(`Unsupported knowledge base version ${data.version}.`);
+    const invalidDocument = data.documents.find(d => typeof d?.hash !== 'string' || typeof d.name !== 'string');
+    if (invalidDocument) throw new Error('Every document in the export needs a hash and a name.');
+    const hashes = new Set(data.documents.map(d => d.hash));
+    const invalidChunk = data.chunks.find(c => typeof c?.id !== 'string' || !hashes.has(c.docHash) || typeof c.chunk !== 'string' || !Array.isArray(c.embedding));
+    if (invalidChunk) throw new Error(`The chunk "${invalidChunk?.id}" is incomplete or belongs to no document in the export.`);
+    return {
+        documents: data.documents.map(d => ({ ...d, id: documentId(d.hash, d.name) })),
+        chunks: data.chunks.map(c => ({ ...withoutFileName(c), embedding: Float32Array.from(c.embedding) })),
+    };
+};
+
+export const importKnowledgeBase = async (data) => {
+    const { documents, chunks } = validateKnowledgeBaseExport(data);
+    const db = await openDb();
+    const tx = db.transaction(['documents', 'chunks'], 'readwrite');
+    documents.forEach(document => tx.objectStore('documents').put(document));
+    chunks.forEach(chunk => tx.objectStore('chunks').put(chunk));
+    await transactionDone(tx);
+    return loadKnowledgeBase();
+};
@@ -0,0 +1,77 @@
+import 'fake-indexeddb/auto';
+import { deleteDocument, deleteOtherVersions, exportKnowledgeBase, getDocument, importKnowledgeBase, loadKnowledgeBase, saveDocument } from './knowledgeStore';
+
+let addedAt = 0;
+const document = (hash, name, extra = {}) => ({ hash, name, type: 'text/plain', textContent: `${name} text`, tables: [], addedAt: ++addedAt, ...extra });
+const chunks = (hash, name, count = 2) => Array.from({ length: count }, (_, i) => ({ id: `${hash}:${i}`, docHash: hash, fileName: name, chunk: `part ${i}`, meta: {}, embedding: Float32Array.from([i, 1]) }));
+const save = (hash, name, count) => saveDocument(document(hash, name), chunks(hash, name, count));
+
+afterEach(async () => {
+    const { documents } = await loadKnowledgeBase();
+    for (const d of documents) await deleteDocument(d.id);
+});
+
+test('saves, reuses and loads documents with their chunks', async () => {
+    const stored = await save('aaa', 'notes.txt');
+    expect(stored.id).toBe('aaa:notes.txt');
+    const reused = await getDocument('aaa');
+    expect(reused.document.name).toBe('notes.txt');
+    expect(reused.chunks.map(c => c.id)).toEqual(['aaa:0', 'aaa:1']);
+    const { documents, chunks: loaded } = await loadKnowledgeBase();
+    expect(documents.map(d => d.id)).toEqual(['aaa:notes.txt']);
+    expect(loaded.map(c => [c.id, c.fileName])).toEqual([['aaa:0', 'notes.txt'], ['aaa:1', 'notes.txt']]);
+    expect(await getDocument('missing')).toBeNull();
+});
+
+test('keeps identical files under different names until the last one is deleted', async () => {
+    await save('aaa', 'notes.txt');
+    await save('aaa', 'copy of notes.txt');
+    const { chunks: loaded } = await loadKnowledgeBase();
+    expect(loaded.map(c => c.fileName)).toEqual(['notes.txt', 'notes.txt', 'copy of notes.txt', 'copy of notes.txt']);
+
+    await deleteDocument('aaa:notes.txt');
+    const afterFirst = await loadKnowledgeBase();
+    expect(afterFirst.documents.map(d => d.name)).toEqual(['copy of notes.txt']);
+    expect(afterFirst.chunks.map(c => c.fileName)).toEqual(['copy of notes.txt', 'copy of notes.txt']);
+
+    await deleteDocument('aaa:copy of notes.txt');
+    expect(await getDocument('aaa')).toBeNull();
+});
+
+test('orders files added in the same millisecond by id', async () => {
+    await saveDocument(document('aaa', 'b.txt', { addedAt: 1 }), chunks('aaa', 'b.txt', 1));
+    await saveDocument(document('aaa', 'a.txt', { addedAt: 1 }), chunks('aaa', 'a.txt', 1));
+    expect((await loadKnowledgeBase()).documents.map(d => d.name)).toEqual(['a.txt', 'b.txt']);
+});
+
+test('replaces the chunks of re-indexed content and drops older versions of a file', async () => {
+    await save('aaa', 'notes.txt', 3);
+    await save('aaa', 'notes.txt', 1);
+    expect((await getDocument('aaa')).chunks.map(c => c.id)).toEqual(['aaa:0']);
+
+    await save('bbb', 'notes.txt');
+    await deleteOtherVersions('notes.txt', 'bbb');
+    const { documents } = await loadKnowledgeBase();
+    expect(documents.map(d => d.id)).toEqual(['bbb:notes.txt']);
+});
+
+test('round-trips exports and validates imports', async () => {
+    await save('aaa', 'notes.txt');
+    const data = JSON.parse(JSON.stringify(await exportKnowledgeBase()));
+    await deleteDocument('aaa:notes.txt');
+    const { documents, chunks: loaded } = await importKnowledgeBase(data);
+    expect(documents.map(d => d.id)).toEqual(['aaa:notes.txt']);
+    expect(loaded[1].embedding).toEqual(Float32Array.from([1, 1]));
+
+    await expect(importKnowledgeBase({ format: 'eap-agents' })).rejects.toThrow('not a knowledge base export');
+    await expect(importKnowledgeBase({ ...data, version: 99 })).rejects.toThrow('Unsupported knowledge base version 99');
+    await expect(importKnowledgeBase({ ...data, documents: [{ name: 'x.txt' }] })).rejects.toThrow('needs a hash and a name');
+    await expect(importKnowledgeBase({ ...data, chunks: [{ ...data.chunks[0], docHash: 'zzz' }] })).rejects.toThrow('belongs to no document');
+});
+
+test('imports version 1 exports keyed by hash alone', async () => {
+    const v1 = { format: 'eap-knowledge-base', version: 1, documents: [document('ccc', 'old.txt')], chunks: chunks('ccc', 'old.txt').map(c => ({ ...c, embedding: Array.from(c.embedding) })) };
+    const { documents, chunks: loaded } = await importKnowledgeBase(v1);
+    expect(documents.map(d => d.id)).toEqual(['ccc:old.txt']);
+    expect(loaded.map(c => c.fileName)).toEqual(['old.txt', 'old.txt']);
+});
@@ -0,0 +1,173 @@
+import { readSseStream } from './sse';
+
+// --- LLM Provider Layer ---
+// Every agent and the planner talk to a model through `generateText`. A provider only
+// has to turn `{ prompt, image, model, baseUrl, apiKey }` into the model's reply text.
+// When the request carries `onToken`, the provider streams and calls it with each text delta;
+// `signal` aborts the underlying fetch. Providers that know the token counts report them to
+// `onUsage({ inputTokens, outputTokens })`.
+
+const SETTINGS_STORAGE_KEY = 'eap.llmSettings';
+
+// --- Errors ---
+// A non-OK response. `retryAfterMs` comes from the Retry-After header, when the server sent one.
+export class ApiError extends Error {
+    constructor(status, { detail = '', retryAfterMs = null } = {}) {
+        super(`API Error: ${status}${detail ? ` (${detail})` : ''}`);
+        this.name = 'ApiError';
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// `fetch` rejects with a TypeError when the network fails. It is tagged as a NetworkError here, so a TypeError
+// from a bug in a provider is not mistaken for one.
+export class NetworkError extends Error {
+    constructor(cause) {
+        super(cause.message);
+        this.name = 'NetworkError';
+        this.cause = cause;
+    }
+}
+
+const send = (url, init) => fetch(url, init).catch(err => { throw err instanceof TypeError ? new NetworkError(err) : err; });
+
+// Retry-After is either a number of seconds or an HTTP date
+export const parseRetryAfter = (value, now = Date.now()) => {
+    if (value == null || String(value).trim() === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+const toApiError = async (response) => {
+    let detail = '';
+    try {
+        const body = response.text ? await response.text() : '';
+        detail = (JSON.parse(body).error?.message || '').slice(0, 200);
+    } catch { /* the status is enough */ }
+    return new ApiError(response.status, { detail, retryAfterMs: parseRetryAfter(response.headers?.get('retry-after')) });
+};
+
+// --- Providers ---
+const geminiProvider = {
+    label: 'Google Gemini',
+    generate: async ({ prompt, image, model, baseUrl, apiKey, onToken, onUsage = () => {}, signal }) => {
+        const parts = [{ text: prompt }];
+        if (image) parts.push({ inline_data: { mime_type: image.type, data: image.content } });
+        const method = onToken ? 'streamGenerateContent?alt=sse' : 'generateContent';
+        const response = await send(`${trimSlash(baseUrl)}/models/${model}:${method}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+            body: JSON.stringify({ contents: [{ parts }] }),
+            signal,
+        });
+        if (!response.ok) throw await toApiError(response);
+        const textOf = (result) => result.candidates?.[0]?.content?.parts?.map(p => p.text || '').join('') ?? '';
+        // Streamed chunks carry the running totals, so the last one reported wins
+        const reportUsage = ({ usageMetadata: usage }) => { if (usage) onUsage({ inputTokens: usage.promptTokenCount, outputTokens: usage.candidatesTokenCount ?? 0 }); };
+        if (!onToken) { const result = await response.json(); reportUsage(result); return textOf(result); }
+        let text = '';
+        await readSseStream(response, data => { const chunk = JSON.parse(data); reportUsage(chunk); const delta = textOf(chunk); if (delta) { text += delta; onToken(delta); } });
+        return text;
+    },
+};
+
+// Works for OpenAI itself and for anything exposing `/chat/completions` (vLLM, LM Studio, Ollama, llama.cpp server).
+const openAICompatibleProvider = (label) => ({
+    label,
+    generate: async ({ prompt, image, model, baseUrl, apiKey, onToken, onUsage = () => {}, signal }) => {
+        const content = image ? [{ type: 'text', text: prompt }, { type: 'image_url', image_url: { url: `data:${image.type};base64,${image.content}` } }] : prompt;
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+        const response = await send(`${trimSlash(baseUrl)}/chat/completions`, {
+            method: 'POST',
+            headers,
+            // Streams only report usage when asked to, in a final chunk without choices
+            body: JSON.stringify({ model, messages: [{ role: 'user', content }], ...(onToken ? { stream: true, stream_options: { include_usage: true } } : {}) }),
+            signal,
+        });
+        if (!response.ok) throw await toApiError(response);
+        const reportUsage = ({ usage }) => { if (usage) onUsage({ inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens ?? 0 }); };
+        if (!onToken) { const result = await response.json(); reportUsage(result); return result.choices?.[0]?.message?.content ?? ''; }
+        let text = '';
+        await readSseStream(response, data => {
+            if (data === '[DONE]') return;
+            const chunk = JSON.parse(data);
+            reportUsage(chunk);
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) { text += delta; onToken(delta); }
+        });
+        return text;
+    },
+});
+
+// Offline provider for tests and demos: `respond(request)` returns (or resolves to) the reply text.
+export const createMockProvider = (respond = ({ model, prompt }) => `[${model}] ${prompt}`) => ({
+    label: 'Mock (offline)',
+    async generate(request) {
+        const text = await respond(request);
+        if (!request.onToken) return text;
+        for (const token of text.match(/\S+\s*|\s+/g) || []) {
+            if (request.signal?.aborted) throw new DOMException('The operation was aborted.', 'AbortError');
+            request.onToken(token);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        return text;
+    },
+});
+
+export const PROVIDERS = {
+    gemini: geminiProvider,
+    openai: openAICompatibleProvider('OpenAI-compatible'),
+    local: openAICompatibleProvider('Local server (Ollama / llama.cpp)'),
+    mock: createMockProvider(),
+};
+
+// --- Settings ---
+export const DEFAULT_LLM_SETTINGS = {
+    defaultProvider: 'gemini',
+    providers: {
+        gemini: { baseUrl: 'https://generativelanguage.googleapis.com/v1beta', apiKey: process.env.REACT_APP_GEMINI_API_KEY || '', model: 'gemini-2.5-flash-preview-05-20' },
+        openai: { baseUrl: 'https://api.openai.com/v1', apiKey: process.env.REACT_APP_OPENAI_API_KEY || '', model: 'gpt-4o-mini' },
+        local: { baseUrl: 'http://localhost:11434/v1', apiKey: '', model: 'llama3.1' },
+        mock: { baseUrl: '', apiKey: '', model: 'mock-1' },
+    },
+    // Per-agent overrides, e.g. { Planner: { provider: 'openai', model: 'gpt-4o-mini' } }. Blank fields inherit the defaults.
+    agents: {},
+};
+
+export const loadLlmSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null');
+        return mergeSettings(DEFAULT_LLM_SETTINGS, stored);
+    } catch (err) { console.error('Failed to load LLM settings:', err); return DEFAULT_LLM_SETTINGS; }
+};
+export const saveLlmSettings = (settings) => localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+
+export const resolveAgentConfig = (settings, agent) => {
+    const override = settings.agents?.[agent] || {};
+    const provider = override.provider || settings.defaultProvider;
+    const providerSettings = settings.providers?.[provider] || {};
+    return { provider, model: override.model || providerSettings.model, baseUrl: providerSettings.baseUrl, apiKey: providerSettings.apiKey };
+};
+
+export const generateText = async (settings, { agent, prompt, image = null, onToken, onUsage, signal }, providers = PROVIDERS) => {
+    const config = resolveAgentConfig(settings, agent);
+    const provider = providers[config.provider];
+    if (!provider) throw new Error(`Unknown LLM provider "${config.provider}"`);
+    if (!config.model) throw new Error(`No model configured for ${agent || 'the default provider'}`);
+    return provider.generate({ ...config, agent, prompt, image, onToken, onUsage, signal });
+};
+
+export const isAbortError = (err) => err?.name === 'AbortError';
+
+// --- Helpers ---
+const trimSlash = (url = '') => url.replace(/\/+$/, '');
+const mergeSettings = (defaults, stored) => {
+    if (!stored) return defaults;
+    const providers = { ...defaults.providers };
+    Object.entries(stored.providers || {}).forEach(([name, value]) => { providers[name] = { ...providers[name], ...value }; });
+    return { ...defaults, ...stored, providers, agents: { ...stored.agents } };
+};
@@ -0,0 +1,76 @@
+import { DEFAULT_LLM_SETTINGS, createMockProvider, generateText, isAbortError, resolveAgentConfig, PROVIDERS } from './llmProviders';
+import { TextDecoder, TextEncoder } from 'util';
+
+// jsdom does not provide TextDecoder, which the SSE reader needs
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+const settings = {
+    ...DEFAULT_LLM_SETTINGS,
+    defaultProvider: 'mock',
+    agents: { Planner: { model: 'mock-small' }, CodeGenerationAgent: { provider: 'openai', model: 'gpt-4o' } },
+};
+
+afterEach(() => { jest.restoreAllMocks(); });
+
+test('resolves per-agent overrides on top of the default provider', () => {
+    expect(resolveAgentConfig(settings, 'Planner')).toMatchObject({ provider: 'mock', model: 'mock-small' });
+    expect(resolveAgentConfig(settings, 'KnowledgeAgent')).toMatchObject({ provider: 'mock', model: 'mock-1' });
+    expect(resolveAgentConfig(settings, 'CodeGenerationAgent')).toMatchObject({ provider: 'openai', model: 'gpt-4o', baseUrl: 'https://api.openai.com/v1' });
+});
+
+test('routes requests through the mock provider offline', async () => {
+    const respond = jest.fn(({ agent, model }) => `${agent} via ${model}`);
+    const text = await generateText(settings, { agent: 'Planner', prompt: 'plan this' }, { mock: createMockProvider(respond) });
+    expect(text).toBe('Planner via mock-small');
+    expect(respond.mock.calls[0][0]).toMatchObject({ prompt: 'plan this', model: 'mock-small' });
+    expect(PROVIDERS.mock).not.toHaveProperty('calls');
+});
+
+test('sends OpenAI-compatible chat completions requests', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, json: async () => ({ choices: [{ message: { content: 'done' } }] }) });
+    const text = await generateText({ ...settings, providers: { ...settings.providers, openai: { ...settings.providers.openai, apiKey: 'sk-test' } } }, { agent: 'CodeGenerationAgent', prompt: 'write code' });
+    expect(text).toBe('done');
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://api.openai.com/v1/chat/completions');
+    expect(init.headers.Authorization).toBe('Bearer sk-test');
+    expect(JSON.parse(init.body)).toEqual({ model: 'gpt-4o', messages: [{ role: 'user', content: 'write code' }] });
+});
+
+test('sends the Gemini key as a header instead of the query string', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, json: async () => ({ candidates: [{ content: { parts: [{ text: 'hi' }] } }], usageMetadata: { promptTokenCount: 7, candidatesTokenCount: 1 } }) });
+    const config = { model: 'gemini-test', baseUrl: 'https://example.test/v1beta/', apiKey: 'key' };
+    const onUsage = jest.fn();
+    await expect(PROVIDERS.gemini.generate({ ...config, prompt: 'hello', onUsage })).resolves.toBe('hi');
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 7, outputTokens: 1 });
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://example.test/v1beta/models/gemini-test:generateContent');
+    expect(init.headers['x-goog-api-key']).toBe('key');
+});
+
+test('rejects unknown providers and non-OK responses', async () => {
+    await expect(generateText({ ...settings, defaultProvider: 'nope' }, { agent: 'KnowledgeAgent', prompt: 'x' })).rejects.toThrow('Unknown LLM provider');
+    jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 503 });
+    await expect(generateText(settings, { agent: 'CodeGenerationAgent', prompt: 'x' })).rejects.toThrow('API Error: 503');
+});
+
+test('streams OpenAI-compatible deltas split across network chunks', async () => {
+    const bytes = ['data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choi', 'ces":[{"delta":{"content":"lo"}}]}\n\n', 'data: {"choices":[],"usage":{"prompt_tokens":3,"completion_tokens":2}}\n\ndata: [DONE]\n\n'].map(s => new TextEncoder().encode(s));
+    const reader = { read: jest.fn(async () => (bytes.length > 0 ? { done: false, value: bytes.shift() } : { done: true })) };
+    jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, body: { getReader: () => reader } });
+    const tokens = [];
+    const onUsage = jest.fn();
+    const text = await generateText(settings, { agent: 'CodeGenerationAgent', prompt: 'x', onToken: t => tokens.push(t), onUsage });
+    expect(tokens).toEqual(['Hel', 'lo']);
+    expect(text).toBe('Hello');
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 3, outputTokens: 2 });
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+});
+
+test('stops the mock stream with an AbortError once the signal fires', async () => {
+    const controller = new AbortController();
+    const tokens = [];
+    const onToken = (t) => { tokens.push(t); if (tokens.length === 2) controller.abort(); };
+    const error = await generateText(settings, { agent: 'KnowledgeAgent', prompt: 'one two three four', onToken, signal: controller.signal }).catch(e => e);
+    expect(isAbortError(error)).toBe(true);
+    expect(tokens).toHaveLength(2);
+});
@@ -0,0 +1,56 @@
+// --- OCR ---
+// Scanned PDF pages (pages without a text layer) and images are read with tesseract.js, a WASM OCR engine that is
+// loaded from the CDN on first use like the other parsers. Runs inside the ingestion worker: PDF pages are rendered
+// to an OffscreenCanvas before recognition.
+const SETTINGS_STORAGE_KEY = 'eap.ocrSettings';
+const TESSERACT_URL = 'https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/tesseract.esm.min.js';
+const MIN_TEXT_LAYER_CHARS = 20;
+const PAGE_RENDER_SCALE = 2; // tesseract needs roughly 300 dpi; PDF pages are laid out at 72 dpi
+
+export const DEFAULT_OCR_SETTINGS = {
+    enabled: true,
+    language: 'eng', // tesseract language codes, joined with "+" for several, e.g. "deu+eng"
+    captionImages: false, // also index a description of each image written by the ImageAnalysisAgent's model
+};
+
+export const loadOcrSettings = () => {
+    try { return { ...DEFAULT_OCR_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}') }; }
+    catch (err) { console.error('Failed to load OCR settings:', err); return DEFAULT_OCR_SETTINGS; }
+};
+export const saveOcrSettings = (settings) => localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+
+export const IMAGE_CAPTION_PROMPT = 'Describe this image for a document search index. Name the kind of image (photo, chart, diagram, table, screenshot, ...), what it shows, and any labels, values or relationships it contains. Do not speculate beyond what is visible.';
+
+// A page whose text layer has fewer characters than this is treated as scanned
+export const hasTextLayer = (text) => text.replace(/\s+/g, '').length >= MIN_TEXT_LAYER_CHARS;
+
+// Joins words hyphenated across line breaks and drops the blank runs OCR leaves between blocks.
+export const cleanOcrText = (text) => text.replace(/(\p{L})-\n(?=\p{Ll})/gu, '$1').replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+
+// --- Recognition ---
+let ocrWorker = null; // { language, promise }
+
+const getOcrWorker = (language) => {
+    if (ocrWorker?.language !== language) {
+        ocrWorker?.promise.then(worker => worker.terminate()).catch(() => {});
+        const promise = import(TESSERACT_URL).then(({ createWorker }) => createWorker(language));
+        ocrWorker = { language, promise };
+        promise.catch(() => { if (ocrWorker?.promise === promise) ocrWorker = null; });
+    }
+    return ocrWorker.promise;
+};
+
+// `image` is anything tesseract reads: a Blob, an ImageData or an OffscreenCanvas.
+export const recognizeImage = async (image, { language } = {}) => {
+    const worker = await getOcrWorker(language || DEFAULT_OCR_SETTINGS.language);
+    const { data } = await worker.recognize(image);
+    return cleanOcrText(data.text || '');
+};
+
+// `page` is a pdf.js page proxy
+export const renderPdfPage = async (page) => {
+    const viewport = page.getViewport({ scale: PAGE_RENDER_SCALE });
+    const canvas = new OffscreenCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    return canvas.convertToBlob({ type: 'image/png' });
+};
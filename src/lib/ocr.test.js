@@ -0,0 +1,12 @@
+import { cleanOcrText, hasTextLayer } from './ocr';
+
+test('treats pages with almost no text as scanned', () => {
+    expect(hasTextLayer('')).toBe(false);
+    expect(hasTextLayer('  12 \n Page 3  ')).toBe(false);
+    expect(hasTextLayer('The quarterly report covers revenue and costs.')).toBe(true);
+});
+
+test('cleans up OCR output', () => {
+    expect(cleanOcrText('  The docu-\nment   was  scanned.\n\n\n\nPage 2 \n ')).toBe('The document was scanned.\n\nPage 2');
+    expect(cleanOcrText('Self-\nService')).toBe('Self-\nService');
+});
@@ -0,0 +1,291 @@
+import { wrapUntrusted } from './guardrails';
+
+// --- Plan Schema ---
+// A plan is a DAG: steps only wait for the steps listed in `dependsOn`, and may reference their
+// outputs with `{{<id>.output}}` placeholders. Everything else is free to run concurrently.
+export const PLAN_SCHEMA = {
+    type: 'object',
+    required: ['steps'],
+    properties: {
+        steps: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['id', 'agent', 'prompt', 'dependsOn'],
+                properties: {
+                    id: { type: 'string', pattern: '^[A-Za-z][\\w-]*$' },
+                    agent: { type: 'string' },
+                    prompt: { type: 'string' },
+                    dependsOn: { type: 'array', items: { type: 'string' } },
+                    // What happens when the step fails; steps without it use the plan settings' `failurePolicy`
+                    onFailure: {
+                        type: 'object',
+                        required: ['action'],
+                        properties: {
+                            action: { enum: ['retry', 'skip', 'fallback', 'abort'] },
+                            retries: { type: 'integer', minimum: 1, maximum: 3 },
+                            fallbackAgent: { type: 'string' },
+                        },
+                    },
+                },
+            },
+        },
+    },
+};
+
+const SETTINGS_STORAGE_KEY = 'eap.planSettings';
+const STEP_ID_PATTERN = new RegExp(PLAN_SCHEMA.properties.steps.items.properties.id.pattern);
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][\w-]*)\.output\s*\}\}/g;
+const MAX_REPAIR_ATTEMPTS = 2;
+const FAILURE_POLICY_SCHEMA = PLAN_SCHEMA.properties.steps.items.properties.onFailure.properties;
+export const FAILURE_ACTIONS = FAILURE_POLICY_SCHEMA.action.enum;
+
+export class PlanValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid plan: ${errors.join('; ')}`);
+        this.name = 'PlanValidationError';
+        this.errors = errors;
+    }
+}
+
+// A step failed and its failure policy stopped the plan. `cause` is the step's last error.
+export class StepFailedError extends Error {
+    constructor(step, cause) {
+        super(`Step "${step.id}" (${step.agent}) failed: ${cause.message}`);
+        this.name = 'StepFailedError';
+        this.step = step;
+        this.cause = cause;
+    }
+}
+
+// --- Settings ---
+export const DEFAULT_PLAN_SETTINGS = {
+    requireApproval: false, // show the plan as an editable card and wait for the user to approve it
+    // retry: run the step again up to `retries` times, then stop the plan; skip: dependent steps run without its output;
+    // fallback: run it once more with `fallbackAgent`, then stop the plan; abort: stop the plan
+    failurePolicy: { action: 'retry', retries: 1, fallbackAgent: '' },
+};
+
+export const loadPlanSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}');
+        return { ...DEFAULT_PLAN_SETTINGS, ...stored, failurePolicy: { ...DEFAULT_PLAN_SETTINGS.failurePolicy, ...stored.failurePolicy } };
+    }
+    catch (err) { console.error('Failed to load plan settings:', err); return DEFAULT_PLAN_SETTINGS; }
+};
+export const savePlanSettings = (settings) => localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+
+// --- Prompts ---
+// `agents` are registry entries (see agentRegistry.js); only their name, description, capabilities and inputs are used.
+const describeAgent = (a) => [
+    `- ${a.name}: ${a.description}`,
+    a.capabilities?.length > 0 && `Capabilities: ${a.capabilities.join(', ')}.`,
+    a.inputs?.length > 0 && `Needs: ${a.inputs.map(i => (i === 'image' ? 'an attached image' : 'uploaded documents')).join(' and ')}.`,
+].filter(Boolean).join(' ');
+
+export const buildPlannerPrompt = ({ prompt, history, agents }) => `
+You are an expert planning agent. Your job is to analyze a user's prompt and the recent conversation history, then create a plan to fulfill the request.
+You have access to the following agents:
+${agents.map(describeAgent).join('\n')}
+
+Respond with a single JSON object that matches this JSON Schema:
+${JSON.stringify(PLAN_SCHEMA)}
+
+Rules:
+- "agent" must be one of: ${agents.map(a => a.name).join(', ')}.
+- Every step needs a unique "id" such as "s1", "s2".
+- A step may use the output of another step by writing "{{<id>.output}}" in its prompt, and it must then list that id in "dependsOn".
+- Steps that do not need each other's output must have no dependency between them, so they can run in parallel.
+- Leave "dependsOn" empty ([]) for steps that only need the user's prompt.
+- Omit "onFailure" unless a step is optional (use "skip") or another agent could stand in for it (use "fallback" with "fallbackAgent").
+
+Conversation History:
+${wrapUntrusted(history || '(none)', 'conversation history')}
+
+User Prompt: "${prompt}"
+
+Generate the JSON plan now.
+`;
+
+export const buildRepairPrompt = ({ plannerPrompt, response, errors }) => `${plannerPrompt}
+Your previous answer was rejected.
+
+Previous answer:
+${response}
+
+Problems found:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Return a corrected JSON plan that fixes every problem. Respond with the JSON object only.
+`;
+
+// --- Parsing & Validation ---
+export const extractJson = (text) => {
+    const fenced = text.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/);
+    const candidate = fenced ? fenced[1] : text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+    return JSON.parse(candidate);
+};
+
+export const validatePlan = (candidate, agentNames) => {
+    const errors = [];
+    if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) return { plan: null, errors: ['The plan must be a JSON object with a "steps" array.'] };
+    if (!Array.isArray(candidate.steps) || candidate.steps.length === 0) return { plan: null, errors: ['"steps" must be a non-empty array.'] };
+
+    const ids = new Set();
+    candidate.steps.forEach((step, i) => {
+        const label = `Step ${i + 1}`;
+        if (!step || typeof step !== 'object') { errors.push(`${label} must be an object.`); return; }
+        if (typeof step.id !== 'string' || !STEP_ID_PATTERN.test(step.id)) errors.push(`${label} needs an "id" made of letters, digits, "_" or "-".`);
+        else if (ids.has(step.id)) errors.push(`${label} reuses the id "${step.id}".`);
+        else ids.add(step.id);
+        if (!agentNames.includes(step.agent)) errors.push(`${label} uses unknown agent "${step.agent}".`);
+        if (typeof step.prompt !== 'string' || step.prompt.trim() === '') errors.push(`${label} needs a non-empty "prompt".`);
+        if (!Array.isArray(step.dependsOn) || step.dependsOn.some(d => typeof d !== 'string')) errors.push(`${label} needs a "dependsOn" array of step ids.`);
+        if (step.onFailure != null) errors.push(...validateFailurePolicy(step.onFailure, agentNames, step.agent).map(e => `${label}: ${e}`));
+    });
+    if (errors.length > 0) return { plan: null, errors };
+
+    candidate.steps.forEach(step => {
+        step.dependsOn.forEach(dep => {
+            if (!ids.has(dep)) errors.push(`Step "${step.id}" depends on missing step "${dep}".`);
+            if (dep === step.id) errors.push(`Step "${step.id}" depends on itself.`);
+        });
+        referencedSteps(step.prompt).forEach(ref => {
+            if (!step.dependsOn.includes(ref)) errors.push(`Step "${step.id}" uses {{${ref}.output}} but does not list "${ref}" in dependsOn.`);
+        });
+    });
+    if (errors.length === 0 && hasCycle(candidate.steps)) errors.push('The dependencies contain a cycle.');
+    if (errors.length > 0) return { plan: null, errors };
+
+    return { plan: candidate.steps.map(({ id, agent, prompt, dependsOn, onFailure }) => ({ id, agent, prompt, dependsOn: [...new Set(dependsOn)], ...(onFailure ? { onFailure: toFailurePolicy(onFailure) } : {}) })), errors: [] };
+};
+
+export const validateFailurePolicy = (policy, agentNames, stepAgent = null) => {
+    if (!policy || typeof policy !== 'object' || !FAILURE_ACTIONS.includes(policy.action)) return [`"onFailure.action" must be one of ${FAILURE_ACTIONS.join(', ')}.`];
+    const errors = [];
+    const { minimum, maximum } = FAILURE_POLICY_SCHEMA.retries;
+    if (policy.action === 'retry' && policy.retries != null && !(Number.isInteger(policy.retries) && policy.retries >= minimum && policy.retries <= maximum)) errors.push(`"onFailure.retries" must be between ${minimum} and ${maximum}.`);
+    if (policy.action === 'fallback' && !agentNames.includes(policy.fallbackAgent)) errors.push(`the fallback agent "${policy.fallbackAgent || ''}" is unknown.`);
+    else if (policy.action === 'fallback' && policy.fallbackAgent === stepAgent) errors.push('the fallback agent must differ from the step\'s agent.');
+    return errors;
+};
+const toFailurePolicy = ({ action, retries, fallbackAgent }) => ({ action, ...(action === 'retry' ? { retries: retries ?? 1 } : {}), ...(action === 'fallback' ? { fallbackAgent } : {}) });
+
+export const parsePlan = (text, agentNames) => {
+    let candidate;
+    try { candidate = extractJson(text); } catch (e) { return { plan: null, errors: [`The response is not valid JSON (${e.message}).`] }; }
+    return validatePlan(candidate, agentNames);
+};
+
+// Asks the planner for a plan and sends it back for repair until it validates or the attempts run out.
+export const requestPlan = async ({ prompt, history, agents, generate, maxRepairs = MAX_REPAIR_ATTEMPTS }) => {
+    const agentNames = agents.map(a => a.name);
+    const plannerPrompt = buildPlannerPrompt({ prompt, history, agents });
+    let request = plannerPrompt;
+    let errors = [];
+    for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+        const response = await generate(request);
+        if (response == null) throw new Error('The planner returned no response.');
+        const result = parsePlan(response, agentNames);
+        if (result.plan) return result.plan;
+        errors = result.errors;
+        request = buildRepairPrompt({ plannerPrompt, response, errors });
+    }
+    throw new PlanValidationError(errors);
+};
+
+// --- Execution ---
+export const resolveStepPrompt = (prompt, outputs, wrapOutput = output => output) => prompt.replace(PLACEHOLDER_PATTERN, (match, id) => (id in outputs ? wrapOutput(outputs[id] ?? '', id) : match));
+
+// Starts every step whose dependencies are satisfied and waits only where a step needs another step's output.
+// `runStep(step, resolvedPrompt, recovery)` returns that step's output text. Steps with an entry in `outputs` count as
+// done and are not run again. Once `signal` is aborted no further steps start and the returned promise rejects
+// with an AbortError.
+// A step that throws is handled by its failure policy (see `runWithPolicy`); when the policy gives up, the
+// returned promise rejects with a StepFailedError. `wrapOutput(output, stepId)` frames each output that is
+// substituted into a later step's prompt, e.g. as untrusted content.
+export const executePlan = async (steps, runStep, { signal, outputs: previousOutputs = {}, failurePolicy = DEFAULT_PLAN_SETTINGS.failurePolicy, onStepFailed = () => {}, wrapOutput } = {}) => {
+    const outputs = Object.fromEntries(steps.filter(s => s.id in previousOutputs).map(s => [s.id, previousOutputs[s.id]]));
+    const pending = new Map(steps.filter(s => !(s.id in outputs)).map(s => [s.id, s]));
+    const running = new Map();
+    while (pending.size > 0 || running.size > 0) {
+        if (signal?.aborted) throw new DOMException('The plan was cancelled.', 'AbortError');
+        pending.forEach(step => {
+            if (!step.dependsOn.every(dep => dep in outputs)) return;
+            pending.delete(step.id);
+            const promise = Promise.resolve()
+                .then(() => runWithPolicy(step, resolveStepPrompt(step.prompt, outputs, wrapOutput), runStep, step.onFailure || failurePolicy, onStepFailed))
+                .then(output => { outputs[step.id] = output; running.delete(step.id); });
+            promise.catch(() => {}); // surfaced through Promise.race below; avoids unhandled rejections from siblings
+            running.set(step.id, promise);
+        });
+        if (running.size === 0) throw new PlanValidationError([`Steps ${[...pending.keys()].join(', ')} can never run.`]);
+        await Promise.race(running.values());
+    }
+    return outputs;
+};
+
+// Runs a step under its failure policy. `onStepFailed(step, error, outcome)` hears about every failure, with the
+// outcome 'retrying', 'falling-back', 'skipped' or 'aborted'. A retry or fallback passes
+// `{ attempt, previousError, fallbackFrom? }` to `runStep` so the step's answer can say what it recovered from.
+// A skipped step's output is a note that it failed, so dependent steps still have something to work with.
+const runWithPolicy = async (step, prompt, runStep, policy, onStepFailed) => {
+    const maxAttempts = policy.action === 'retry' ? 1 + (policy.retries ?? 1) : policy.action === 'fallback' && policy.fallbackAgent && policy.fallbackAgent !== step.agent ? 2 : 1;
+    let recovery;
+    for (let attempt = 1; ; attempt++) {
+        const current = attempt > 1 && policy.action === 'fallback' ? { ...step, agent: policy.fallbackAgent } : step;
+        try {
+            return await runStep(current, prompt, recovery);
+        } catch (err) {
+            if (err?.name === 'AbortError') throw err;
+            if (attempt < maxAttempts) {
+                onStepFailed(current, err, policy.action === 'fallback' ? 'falling-back' : 'retrying');
+                recovery = { attempt: attempt + 1, previousError: err.message, ...(policy.action === 'fallback' ? { fallbackFrom: step.agent } : {}) };
+                continue;
+            }
+            if (policy.action === 'skip') {
+                onStepFailed(current, err, 'skipped');
+                return `[Step ${step.id} failed and was skipped: ${err.message}]`;
+            }
+            onStepFailed(current, err, 'aborted');
+            throw new StepFailedError(current, err);
+        }
+    }
+};
+
+// A step and every step that (transitively) consumes its output; these are what "re-run from here" runs again.
+export const downstreamSteps = (steps, stepId) => {
+    const affected = new Set([stepId]);
+    const queue = [stepId];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        steps.filter(s => s.dependsOn.includes(id) && !affected.has(s.id)).forEach(s => { affected.add(s.id); queue.push(s.id); });
+    }
+    return affected;
+};
+
+// --- Editing ---
+// The first free id of the form "s<n>".
+export const nextStepId = (steps) => {
+    const ids = new Set(steps.map(s => s.id));
+    let n = steps.length + 1;
+    while (ids.has(`s${n}`)) n++;
+    return `s${n}`;
+};
+
+// Removes a step and drops it from the dependencies of the others. Prompts that still reference its output
+// are left for validation to report.
+export const removeStep = (steps, stepId) => steps.filter(s => s.id !== stepId).map(s => ({ ...s, dependsOn: s.dependsOn.filter(dep => dep !== stepId) }));
+
+// --- Helpers ---
+const referencedSteps = (prompt) => [...prompt.matchAll(PLACEHOLDER_PATTERN)].map(m => m[1]);
+const hasCycle = (steps) => {
+    const remaining = new Map(steps.map(s => [s.id, new Set(s.dependsOn)]));
+    while (remaining.size > 0) {
+        const ready = [...remaining.keys()].filter(id => [...remaining.get(id)].every(dep => !remaining.has(dep)));
+        if (ready.length === 0) return true;
+        ready.forEach(id => remaining.delete(id));
+    }
+    return false;
+};
@@ -0,0 +1,153 @@
+import { ApiError, NetworkError, generateText, isAbortError } from './llmProviders';
+
+// --- Resilient Model Calls ---
+// Wraps `generateText` with what a flaky or rate-limited API needs:
+//   - a shared rate limiter that caps concurrent requests and requests per minute,
+//   - an idle timeout: a call is abandoned when the model sends nothing for `timeoutSeconds`,
+//   - retries with exponential backoff and full jitter for timeouts, network errors, 408, 429 and 5xx responses.
+//     A Retry-After header replaces the backoff delay, and a 429 pauses the limiter for every queued call.
+// The failed attempts are reported to `request.onRetry({ attempt, error, status, delayMs })`; an error that
+// gives up carries the number of `attempts` it took.
+const SETTINGS_STORAGE_KEY = 'eap.reliabilitySettings';
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const WINDOW_MS = 60000;
+
+export const DEFAULT_RELIABILITY_SETTINGS = {
+    maxRetries: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000, // also the longest Retry-After that is waited for
+    timeoutSeconds: 60,
+    maxConcurrent: 4,
+    requestsPerMinute: 60,
+};
+
+// Bounds for every setting. A field that is empty or not a number gets its default, anything else is clamped,
+// so e.g. a cleared "Concurrent calls" field cannot stop every model call from starting.
+export const RELIABILITY_LIMITS = {
+    maxRetries: { min: 0, max: 10 },
+    baseDelayMs: { min: 0, max: 60000 },
+    maxDelayMs: { min: 1000, max: 300000 },
+    timeoutSeconds: { min: 5, max: 600 },
+    maxConcurrent: { min: 1, max: 16 },
+    requestsPerMinute: { min: 1, max: 10000 },
+};
+
+export const normalizeReliabilitySettings = (settings) => Object.fromEntries(Object.entries(RELIABILITY_LIMITS).map(([field, { min, max }]) => {
+    const value = settings?.[field] === '' || settings?.[field] == null ? NaN : Number(settings[field]);
+    return [field, Number.isFinite(value) ? Math.min(max, Math.max(min, Math.round(value))) : DEFAULT_RELIABILITY_SETTINGS[field]];
+}));
+
+export const loadReliabilitySettings = () => {
+    try { return normalizeReliabilitySettings({ ...DEFAULT_RELIABILITY_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}') }); }
+    catch (err) { console.error('Failed to load reliability settings:', err); return DEFAULT_RELIABILITY_SETTINGS; }
+};
+export const saveReliabilitySettings = (settings) => localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+
+export class TimeoutError extends Error {
+    constructor(timeoutMs) {
+        super(`The model sent nothing for ${Math.round(timeoutMs / 1000)} s`);
+        this.name = 'TimeoutError';
+    }
+}
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+export const isRetryableError = (err) => (err instanceof ApiError ? RETRYABLE_STATUSES.includes(err.status) : err instanceof TimeoutError || err instanceof NetworkError);
+
+// Full jitter: anywhere between 0 and the exponential ceiling for this attempt
+export const backoffDelay = (attempt, { baseDelayMs, maxDelayMs }, random = Math.random) => Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)));
+
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(abortError()); return; }
+    const onAbort = () => { clearTimeout(timer); reject(abortError()); };
+    const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// --- Rate Limiter ---
+// Tasks start in the order they were scheduled, as soon as a concurrency slot is free and the last minute has
+// room for another request. A task whose signal aborts while it waits is dropped from the queue.
+// Limits below 1 (or not numbers) are raised to 1, so the queue always moves.
+const atLeastOne = (limit) => Math.max(1, Number(limit) || 1);
+
+export const createRateLimiter = ({ maxConcurrent: concurrency = Infinity, requestsPerMinute: perMinute = Infinity } = {}, { now = Date.now } = {}) => {
+    const maxConcurrent = atLeastOne(concurrency);
+    const requestsPerMinute = atLeastOne(perMinute);
+    const queue = [];
+    const starts = []; // start times within the last minute
+    let active = 0;
+    let pausedUntil = 0;
+    let timer = null;
+    const pump = () => {
+        clearTimeout(timer);
+        timer = null;
+        while (queue.length > 0 && active < maxConcurrent) {
+            const time = now();
+            while (starts.length > 0 && starts[0] <= time - WINDOW_MS) starts.shift();
+            const waitMs = Math.max(pausedUntil - time, starts.length >= requestsPerMinute ? starts[0] + WINDOW_MS - time : 0);
+            if (waitMs > 0) { timer = setTimeout(pump, waitMs); return; }
+            const job = queue.shift();
+            job.signal?.removeEventListener('abort', job.onAbort);
+            active++;
+            starts.push(time);
+            job.start();
+        }
+    };
+    const schedule = (task, signal) => new Promise((resolve, reject) => {
+        if (signal?.aborted) { reject(abortError()); return; }
+        const job = {
+            signal,
+            start: () => Promise.resolve().then(task).finally(() => { active--; pump(); }).then(resolve, reject),
+            onAbort: () => { queue.splice(queue.indexOf(job), 1); reject(abortError()); },
+        };
+        signal?.addEventListener('abort', job.onAbort, { once: true });
+        queue.push(job);
+        pump();
+    });
+    // Holds back every task that has not started yet, e.g. after a 429
+    const pause = (ms) => { pausedUntil = Math.max(pausedUntil, now() + ms); pump(); };
+    return { schedule, pause, get active() { return active; }, get queued() { return queue.length; } };
+};
+
+// --- Timeouts ---
+// `run(signal, touch)` gets a signal that aborts on timeout or when `parentSignal` aborts; `touch()` restarts the
+// timer, so a long stream that keeps sending tokens never times out.
+export const withIdleTimeout = async (run, timeoutMs, parentSignal) => {
+    const controller = new AbortController();
+    const onParentAbort = () => controller.abort();
+    if (parentSignal?.aborted) controller.abort();
+    parentSignal?.addEventListener('abort', onParentAbort, { once: true });
+    let timer = null;
+    let expire;
+    // Rejected before the abort, so the race settles with the TimeoutError rather than the call's AbortError
+    const timedOut = new Promise((resolve, reject) => { expire = () => { reject(new TimeoutError(timeoutMs)); controller.abort(); }; });
+    const touch = () => { clearTimeout(timer); if (timeoutMs > 0) timer = setTimeout(expire, timeoutMs); };
+    touch();
+    try { return await Promise.race([run(controller.signal, touch), timedOut]); }
+    finally { clearTimeout(timer); parentSignal?.removeEventListener('abort', onParentAbort); }
+};
+
+// --- Resilient generate ---
+// Same signature as `generateText`, so it can stand in for it (e.g. as `tracedGenerateText`'s `generate`).
+export const createResilientGenerate = ({ settings = DEFAULT_RELIABILITY_SETTINGS, limiter = createRateLimiter(settings), generate = generateText, wait = sleep, random = Math.random } = {}) => async (llmSettings, request) => {
+    const { signal, onToken, onRetry = () => {} } = request;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await limiter.schedule(() => withIdleTimeout(
+                (attemptSignal, touch) => generate(llmSettings, { ...request, signal: attemptSignal, onToken: onToken && (delta => { touch(); onToken(delta); }) }),
+                settings.timeoutSeconds * 1000,
+                signal,
+            ), signal);
+        } catch (err) {
+            if (isAbortError(err) || signal?.aborted) throw err;
+            if (!isRetryableError(err) || attempt > settings.maxRetries || err.retryAfterMs > settings.maxDelayMs) {
+                err.attempts = attempt;
+                throw err;
+            }
+            const delayMs = err.retryAfterMs ?? backoffDelay(attempt, settings, random);
+            if (err.status === 429) limiter.pause(delayMs);
+            onRetry({ attempt, error: err.message, status: err.status, delayMs });
+            await wait(delayMs, signal);
+        }
+    }
+};
@@ -0,0 +1,120 @@
+import { DEFAULT_LLM_SETTINGS, parseRetryAfter } from './llmProviders';
+import { DEFAULT_RELIABILITY_SETTINGS, TimeoutError, backoffDelay, createRateLimiter, createResilientGenerate, loadReliabilitySettings, normalizeReliabilitySettings } from './resilience';
+
+const settings = {
+    ...DEFAULT_LLM_SETTINGS,
+    defaultProvider: 'openai',
+    providers: { ...DEFAULT_LLM_SETTINGS.providers, openai: { ...DEFAULT_LLM_SETTINGS.providers.openai, apiKey: 'sk-test' } },
+};
+const request = { agent: 'KnowledgeAgent', prompt: 'x' };
+const reply = (content) => ({ ok: true, json: async () => ({ choices: [{ message: { content } }] }) });
+const failure = (status, headers = {}) => ({ ok: false, status, headers: { get: name => headers[name] ?? null }, text: async () => JSON.stringify({ error: { message: `status ${status}` } }) });
+const unlimited = () => createRateLimiter();
+const settle = async () => { for (let i = 0; i < 5; i++) await Promise.resolve(); };
+
+afterEach(() => { jest.restoreAllMocks(); jest.useRealTimers(); localStorage.clear(); });
+
+test('retries a 503 after the Retry-After delay', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValueOnce(failure(503, { 'retry-after': '2' })).mockResolvedValueOnce(reply('done'));
+    const delay = jest.fn(async () => {});
+    const onRetry = jest.fn();
+    const generate = createResilientGenerate({ settings: DEFAULT_RELIABILITY_SETTINGS, limiter: unlimited(), wait: delay });
+    await expect(generate(settings, { ...request, onRetry })).resolves.toBe('done');
+    expect(delay).toHaveBeenCalledWith(2000, undefined);
+    expect(onRetry).toHaveBeenCalledWith({ attempt: 1, error: 'API Error: 503 (status 503)', status: 503, delayMs: 2000 });
+});
+
+test('does not retry client errors', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValue(failure(400));
+    const generate = createResilientGenerate({ limiter: unlimited(), wait: async () => {} });
+    const error = await generate(settings, request).catch(e => e);
+    expect(error).toMatchObject({ name: 'ApiError', status: 400, attempts: 1 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('retries network failures but not programming errors', async () => {
+    jest.spyOn(global, 'fetch').mockRejectedValueOnce(new TypeError('Failed to fetch')).mockResolvedValueOnce(reply('back online'));
+    const generate = createResilientGenerate({ limiter: unlimited(), wait: async () => {} });
+    await expect(generate(settings, request)).resolves.toBe('back online');
+
+    const buggy = jest.fn(async () => { throw new TypeError('provider.parse is not a function'); });
+    const error = await createResilientGenerate({ limiter: unlimited(), generate: buggy, wait: async () => {} })(settings, request).catch(e => e);
+    expect(error).toMatchObject({ name: 'TypeError', attempts: 1 });
+    expect(buggy).toHaveBeenCalledTimes(1);
+});
+
+test('gives up after the last retry with jittered exponential delays', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValue(failure(500));
+    const delay = jest.fn(async () => {});
+    const generate = createResilientGenerate({ settings: { ...DEFAULT_RELIABILITY_SETTINGS, maxRetries: 2 }, limiter: unlimited(), wait: delay, random: () => 0.5 });
+    await expect(generate(settings, request)).rejects.toMatchObject({ status: 500, attempts: 3 });
+    expect(delay.mock.calls.map(([ms]) => ms)).toEqual([500, 1000]);
+});
+
+test('keeps backoff delays within the ceiling', () => {
+    const options = { baseDelayMs: 1000, maxDelayMs: 5000 };
+    expect(backoffDelay(1, options, () => 0.999)).toBeLessThanOrEqual(1000);
+    expect(backoffDelay(10, options, () => 1)).toBe(5000);
+    expect(backoffDelay(3, options, () => 0)).toBe(0);
+});
+
+test('times out a call that sends nothing', async () => {
+    const generate = createResilientGenerate({
+        settings: { ...DEFAULT_RELIABILITY_SETTINGS, maxRetries: 0, timeoutSeconds: 0.01 },
+        limiter: unlimited(),
+        generate: (llmSettings, { signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')))),
+    });
+    await expect(generate(settings, request)).rejects.toBeInstanceOf(TimeoutError);
+});
+
+test('caps concurrent requests and requests per minute', async () => {
+    jest.useFakeTimers();
+    let now = 0;
+    const limiter = createRateLimiter({ maxConcurrent: 2, requestsPerMinute: 3 }, { now: () => now });
+    const releases = [];
+    const started = [];
+    const task = (id) => () => new Promise(resolve => { started.push(id); releases.push(resolve); });
+    const done = [1, 2, 3, 4].map(id => limiter.schedule(task(id)));
+    await settle();
+    expect(started).toEqual([1, 2]);
+    expect(limiter.queued).toBe(2);
+    releases[0]();
+    await done[0];
+    await settle();
+    expect(started).toEqual([1, 2, 3]);
+    releases[1](); releases[2]();
+    await Promise.all(done.slice(1, 3));
+    expect(started).toEqual([1, 2, 3]); // three requests in the last minute
+    now = 60000;
+    jest.advanceTimersByTime(60000);
+    await settle();
+    expect(started).toEqual([1, 2, 3, 4]);
+});
+
+test('replaces empty values and clamps zero or out-of-range limits', async () => {
+    const cleared = { ...DEFAULT_RELIABILITY_SETTINGS, maxConcurrent: 0, requestsPerMinute: '', maxRetries: -1, timeoutSeconds: '0', baseDelayMs: 'abc' };
+    expect(normalizeReliabilitySettings(cleared)).toEqual({ ...DEFAULT_RELIABILITY_SETTINGS, maxConcurrent: 1, maxRetries: 0, timeoutSeconds: 5 });
+    expect(normalizeReliabilitySettings({ ...DEFAULT_RELIABILITY_SETTINGS, maxConcurrent: 500, maxRetries: 2.6 })).toMatchObject({ maxConcurrent: 16, maxRetries: 3 });
+    localStorage.setItem('eap.reliabilitySettings', JSON.stringify({ maxConcurrent: 0, requestsPerMinute: null }));
+    expect(loadReliabilitySettings()).toMatchObject({ maxConcurrent: 1, requestsPerMinute: DEFAULT_RELIABILITY_SETTINGS.requestsPerMinute });
+
+    const limiter = createRateLimiter({ maxConcurrent: 0, requestsPerMinute: 0 });
+    await expect(limiter.schedule(async () => 'ran')).resolves.toBe('ran');
+});
+
+test('pauses the limiter after a 429', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValueOnce(failure(429, { 'retry-after': '5' })).mockResolvedValueOnce(reply('ok'));
+    const limiter = unlimited();
+    const pause = jest.spyOn(limiter, 'pause').mockImplementation(() => {});
+    const generate = createResilientGenerate({ limiter, wait: async () => {} });
+    await expect(generate(settings, request)).resolves.toBe('ok');
+    expect(pause).toHaveBeenCalledWith(5000);
+});
+
+test('reads Retry-After as seconds or as a date', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    expect(parseRetryAfter('3', now)).toBe(3000);
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:00:10 GMT', now)).toBe(10000);
+    expect(parseRetryAfter(null, now)).toBeNull();
+    expect(parseRetryAfter('soon', now)).toBeNull();
+});
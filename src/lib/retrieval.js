@@ -0,0 +1,186 @@
+// --- Hybrid Retrieval ---
+// Candidates come from both the embedding similarity and a BM25 keyword index, then get re-ranked on a
+// fused score. Exact identifiers (part numbers, clause IDs, error codes) earn an extra boost because
+// embeddings tend to blur them.
+const SETTINGS_STORAGE_KEY = 'eap.retrievalSettings';
+const STOPWORDS = new Set('a an and are as at be by can do does for from has have how i in is it its of on or that the this to was what when where which who why will with you your'.split(' '));
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const EXACT_MATCH_BOOST = 0.15;
+const CANDIDATE_POOL_FACTOR = 5;
+const MIN_OVERLAP_CHARS = 20;
+
+export const DEFAULT_RETRIEVAL_SETTINGS = {
+    topK: 3,
+    minScore: 0.25,
+    semanticWeight: 0.6, // the keyword score gets the rest
+    dedupeThreshold: 0.8, // share of word shingles two chunks must have in common to count as duplicates
+};
+
+export const RETRIEVAL_LIMITS = {
+    topK: { min: 1, max: 20, step: 1 },
+    minScore: { min: 0, max: 1, step: 0.05 },
+    semanticWeight: { min: 0, max: 1, step: 0.1 },
+    dedupeThreshold: { min: 0, max: 1, step: 0.05 },
+};
+
+// Empty or non-numeric fields fall back to their defaults; the rest are clamped, and top-k is a whole number.
+export const normalizeRetrievalSettings = (settings) => Object.fromEntries(Object.entries(RETRIEVAL_LIMITS).map(([field, { min, max, step }]) => {
+    const value = settings?.[field] === '' || settings?.[field] == null ? NaN : Number(settings[field]);
+    if (!Number.isFinite(value)) return [field, DEFAULT_RETRIEVAL_SETTINGS[field]];
+    return [field, Math.min(max, Math.max(min, step === 1 ? Math.round(value) : value))];
+}));
+
+export const loadRetrievalSettings = () => {
+    try { return normalizeRetrievalSettings({ ...DEFAULT_RETRIEVAL_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}') }); }
+    catch (err) { console.error('Failed to load retrieval settings:', err); return DEFAULT_RETRIEVAL_SETTINGS; }
+};
+export const saveRetrievalSettings = (settings) => localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+
+// --- Tokenization ---
+// Compound tokens such as "err-104" or "4.2.1" are kept whole and also split into their parts.
+export const tokenize = (text) => {
+    const tokens = [];
+    (text.toLowerCase().match(/[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu) || []).forEach(token => {
+        if (!STOPWORDS.has(token)) tokens.push(token);
+        if (/[-_./]/.test(token)) token.split(/[-_./]/).forEach(part => { if (part && !STOPWORDS.has(part)) tokens.push(part); });
+    });
+    return tokens;
+};
+
+// Tokens that look like identifiers: anything mixing letters and digits, or joined with - _ . /
+const extractIdentifiers = (text) => [...new Set((text.match(/[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)+|(?=[\p{L}]*\p{N})(?=\p{N}*\p{L})[\p{L}\p{N}]{2,}/gu) || []).map(t => t.toLowerCase()))];
+
+// --- Keyword Index (BM25) ---
+export const buildKeywordIndex = (chunks) => {
+    const termFrequencies = chunks.map(c => {
+        const counts = new Map();
+        tokenize(c.chunk).forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+        return counts;
+    });
+    const documentFrequency = new Map();
+    termFrequencies.forEach(counts => counts.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)));
+    const lengths = termFrequencies.map(counts => [...counts.values()].reduce((sum, n) => sum + n, 0));
+    const averageLength = lengths.reduce((sum, n) => sum + n, 0) / (lengths.length || 1);
+    return { termFrequencies, documentFrequency, lengths, averageLength, size: chunks.length };
+};
+
+const bm25 = (index, terms, i) => {
+    const counts = index.termFrequencies[i];
+    let score = 0;
+    const matched = [];
+    terms.forEach(term => {
+        const tf = counts.get(term);
+        if (!tf) return;
+        matched.push(term);
+        const df = index.documentFrequency.get(term);
+        const idf = Math.log(1 + (index.size - df + 0.5) / (df + 0.5));
+        score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * index.lengths[i] / (index.averageLength || 1)));
+    });
+    return { score, matched };
+};
+
+// --- Query Scoping ---
+// `file:Budget.xlsx`, `file:"Q3 report.pdf"` and `type:pdf` restrict a query to matching files.
+export const parseScopedQuery = (query) => {
+    const fileNames = [];
+    const fileTypes = [];
+    const text = query.replace(/\b(file|type):(?:"([^"]+)"|(\S+))/gi, (match, key, quoted, bare) => {
+        const value = quoted || bare;
+        if (key.toLowerCase() === 'file') fileNames.push(value.toLowerCase());
+        else fileTypes.push(value.toLowerCase().replace(/^\./, ''));
+        return ' ';
+    }).replace(/\s+/g, ' ').trim();
+    return { text, fileNames, fileTypes };
+};
+
+const matchesScope = (fileName, { fileNames = [], fileTypes = [] }) => {
+    const name = fileName.toLowerCase();
+    if (fileNames.length > 0 && !fileNames.some(f => name === f || name.includes(f))) return false;
+    if (fileTypes.length > 0 && !fileTypes.includes(name.split('.').pop())) return false;
+    return true;
+};
+
+// --- Search ---
+export const hybridSearch = ({ query, queryEmbedding, chunks, index, options = {} }) => {
+    const { topK, minScore, semanticWeight, dedupeThreshold, fileNames, fileTypes } = { ...DEFAULT_RETRIEVAL_SETTINGS, ...options };
+    const terms = [...new Set(tokenize(query))];
+    const identifiers = extractIdentifiers(query);
+
+    const scored = [];
+    chunks.forEach((chunk, i) => {
+        if (!matchesScope(chunk.fileName, { fileNames, fileTypes })) return;
+        const semantic = queryEmbedding && chunk.embedding ? Math.max(0, dotProduct(queryEmbedding, chunk.embedding)) : 0;
+        scored.push({ chunk, semantic, keyword: bm25(index, terms, i) });
+    });
+
+    // Stage 1: pool the best candidates from each signal
+    const poolSize = topK * CANDIDATE_POOL_FACTOR;
+    const pool = new Set([...[...scored].sort((a, b) => b.semantic - a.semantic).slice(0, poolSize), ...[...scored].filter(s => s.keyword.score > 0).sort((a, b) => b.keyword.score - a.keyword.score).slice(0, poolSize)]);
+
+    // Stage 2: re-rank the pool on the fused score
+    const maxKeyword = Math.max(0, ...[...pool].map(s => s.keyword.score));
+    const ranked = [...pool].map(({ chunk, semantic, keyword }) => {
+        const keywordScore = maxKeyword > 0 ? keyword.score / maxKeyword : 0;
+        const text = chunk.chunk.toLowerCase();
+        const exactMatches = identifiers.filter(id => text.includes(id));
+        const score = semanticWeight * semantic + (1 - semanticWeight) * keywordScore + (exactMatches.length > 0 ? EXACT_MATCH_BOOST : 0);
+        return { ...chunk, score, similarity: semantic, signals: { semantic, keyword: keywordScore, matchedTerms: keyword.matched, exactMatches } };
+    }).filter(r => r.score >= minScore).sort((a, b) => b.score - a.score);
+
+    // Neighbouring chunks of one document share their overlap, so they are merged into one passage that lists the ids of all its chunks;
+    // other chunks that mostly repeat an already selected one are dropped.
+    const results = [];
+    for (const result of ranked) {
+        const neighbour = results.find(r => isAdjacent(r, result));
+        if (neighbour) { mergeAdjacent(neighbour, result); continue; }
+        if (results.length >= topK) break;
+        const shingles = shingle(result.chunk);
+        if (results.some(r => containment(shingles, r.shingles) > dedupeThreshold)) continue;
+        results.push({ ...result, shingles, span: [chunkPosition(result), chunkPosition(result)], chunkIds: [result.id] });
+    }
+    return results.map(({ shingles, span, ...result }) => result);
+};
+
+// --- Helpers ---
+export const dotProduct = (vecA, vecB) => { let p = 0; for (let i = 0; i < vecA.length; i++) { p += vecA[i] * vecB[i]; } return p; };
+const shingle = (text, size = 5) => {
+    const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+    const shingles = new Set();
+    for (let i = 0; i + size <= words.length; i++) shingles.add(words.slice(i, i + size).join(' '));
+    if (shingles.size === 0 && words.length > 0) shingles.add(words.join(' '));
+    return shingles;
+};
+const containment = (a, b) => {
+    let intersection = 0;
+    a.forEach(s => { if (b.has(s)) intersection++; });
+    return Math.min(a.size, b.size) === 0 ? 0 : intersection / Math.min(a.size, b.size);
+};
+// Chunk ids are `${docHash}:${position}`; only chunks of the same file and page/section/sheet can overlap.
+// Files with identical content share their chunk ids, so the file name is compared too.
+const chunkPosition = (chunk) => Number(String(chunk.id ?? '').split(':').pop());
+const isAdjacent = (merged, chunk) => {
+    const position = chunkPosition(chunk);
+    const sameSection = JSON.stringify(merged.meta || {}) === JSON.stringify(chunk.meta || {});
+    return merged.docHash != null && merged.docHash === chunk.docHash && merged.fileName === chunk.fileName && sameSection && Number.isInteger(position) && (position === merged.span[0] - 1 || position === merged.span[1] + 1);
+};
+const joinOverlapping = (first, second) => {
+    for (let k = Math.min(first.length, second.length); k >= MIN_OVERLAP_CHARS; k--) {
+        if (first.endsWith(second.slice(0, k))) return first + second.slice(k);
+    }
+    return `${first} ${second}`;
+};
+const mergeAdjacent = (merged, chunk) => {
+    const position = chunkPosition(chunk);
+    const before = position < merged.span[0];
+    merged.chunk = before ? joinOverlapping(chunk.chunk, merged.chunk) : joinOverlapping(merged.chunk, chunk.chunk);
+    merged.span = before ? [position, merged.span[1]] : [merged.span[0], position];
+    merged.chunkIds = before ? [chunk.id, ...merged.chunkIds] : [...merged.chunkIds, chunk.id];
+    merged.shingles = shingle(merged.chunk);
+    merged.signals = {
+        semantic: Math.max(merged.signals.semantic, chunk.signals.semantic),
+        keyword: Math.max(merged.signals.keyword, chunk.signals.keyword),
+        matchedTerms: [...new Set([...merged.signals.matchedTerms, ...chunk.signals.matchedTerms])],
+        exactMatches: [...new Set([...merged.signals.exactMatches, ...chunk.signals.exactMatches])],
+    };
+};
@@ -0,0 +1,53 @@
+import { DEFAULT_RETRIEVAL_SETTINGS, buildKeywordIndex, hybridSearch, normalizeRetrievalSettings, parseScopedQuery, tokenize } from './retrieval';
+
+const chunk = (id, fileName, text, embedding = [0, 0]) => ({ id, docHash: id.split(':')[0], fileName, chunk: text, embedding });
+const chunks = [
+    chunk('a:0', 'manual.pdf', 'The pump reports error ERR-104 when the inlet valve is blocked.', [0.2, 0.9]),
+    chunk('a:1', 'manual.pdf', 'Routine maintenance keeps the pump running smoothly every season.', [0.9, 0.1]),
+    chunk('b:0', 'budget.xlsx', 'Vendor spend for Q3 by region and cost centre.', [0.1, 0.2]),
+    chunk('c:0', 'notes.txt', 'Routine maintenance keeps the pump running smoothly every season.', [0.88, 0.12]),
+];
+const index = buildKeywordIndex(chunks);
+const search = (query, queryEmbedding, options) => hybridSearch({ query, queryEmbedding, chunks, index, options: { minScore: 0, ...options } });
+
+test('keeps identifiers whole while also indexing their parts', () => {
+    expect(tokenize('What does ERR-104 mean?')).toEqual(['err-104', 'err', '104', 'mean']);
+});
+
+test('finds exact identifiers that the embedding misses', () => {
+    const [top] = search('ERR-104', [1, 0], { topK: 1 });
+    expect(top.id).toBe('a:0');
+    expect(top.signals.exactMatches).toEqual(['err-104']);
+    expect(top.signals.matchedTerms).toContain('err-104');
+});
+
+test('applies the minimum score and top-k', () => {
+    expect(search('vendor spend', [0.1, 0.2], { topK: 1 })).toHaveLength(1);
+    expect(search('unrelated words', [0, 0], { minScore: 0.5 })).toEqual([]);
+});
+
+test('restricts a query to files and file types', () => {
+    expect(parseScopedQuery('pump file:"manual.pdf" type:.txt')).toEqual({ text: 'pump', fileNames: ['manual.pdf'], fileTypes: ['txt'] });
+    expect(search('pump maintenance', [0.9, 0.1], { fileTypes: ['txt'] }).map(r => r.fileName)).toEqual(['notes.txt']);
+    expect(search('pump maintenance', [0.9, 0.1], { fileNames: ['manual'] }).every(r => r.fileName === 'manual.pdf')).toBe(true);
+});
+
+test('merges neighbouring chunks and drops duplicated passages', () => {
+    const results = search('pump maintenance', [0.9, 0.1], { topK: 3, minScore: 0.2 });
+    expect(results.map(r => r.id)).toEqual(['a:1']);
+    expect(results[0].chunk).toMatch(/ERR-104[\s\S]*Routine maintenance/);
+});
+
+test('joins the shared overlap of neighbouring chunks only once', () => {
+    const overlap = 'shared overlapping sentence about the inlet valve';
+    const neighbours = [chunk('d:0', 'doc.txt', `First part. ${overlap}`, [1, 0]), chunk('d:1', 'doc.txt', `${overlap} and the second part.`, [0.9, 0.1])];
+    const [merged] = hybridSearch({ query: 'inlet valve', queryEmbedding: [1, 0], chunks: neighbours, index: buildKeywordIndex(neighbours), options: { minScore: 0 } });
+    expect(merged.chunk).toBe(`First part. ${overlap} and the second part.`);
+    expect(merged.chunkIds).toEqual(['d:0', 'd:1']);
+});
+
+test('clamps retrieval settings and restores defaults for empty fields', () => {
+    expect(normalizeRetrievalSettings({ topK: '2.6', minScore: -1, semanticWeight: '', dedupeThreshold: 'x' }))
+        .toEqual({ topK: 3, minScore: 0, semanticWeight: DEFAULT_RETRIEVAL_SETTINGS.semanticWeight, dedupeThreshold: DEFAULT_RETRIEVAL_SETTINGS.dedupeThreshold });
+    expect(normalizeRetrievalSettings({ topK: 500, minScore: 2 })).toMatchObject({ topK: 20, minScore: 1 });
+});
@@ -0,0 +1,81 @@
+// --- JavaScript Sandbox ---
+// Runs model-written JavaScript in a throwaway Worker (src/workers/sandbox.worker.js): no DOM, network APIs
+// removed, console output captured, and the worker is terminated after every run or once the time limit is hit.
+// The code is the body of an async function that receives `tables` and may `return` a result.
+export const SANDBOX_TIMEOUT_MS = 5000;
+const MAX_LOG_ENTRIES = 200;
+
+// `import()` is syntax and cannot be taken away inside the worker the way globals can, so any `import` keyword
+// is rejected up front (also in comments and strings, e.g. `import/**/(`). Code that assembles the keyword at
+// run time needs `eval` or a function constructor, which `compileSandboxed` takes away.
+export const findForbiddenSyntax = (code) => (/(^|[^.\w$])import(?![\w$])/.test(code) ? 'Importing modules is not allowed in the sandbox.' : null);
+
+// Compiles the snippet, then removes every way to compile more code in `scope` (the worker's global object):
+// `eval`, the Function, AsyncFunction, GeneratorFunction and AsyncGeneratorFunction constructors (also when
+// reached through `fn.constructor`) and string handlers for timers. The worker runs one snippet and is thrown
+// away, so nothing else needs them afterwards.
+const blockedEvaluation = function () { throw new EvalError('Evaluating code is not allowed in the sandbox.'); };
+Object.freeze(blockedEvaluation);
+const lock = (target, name, value) => Object.defineProperty(target, name, { value, writable: false, configurable: false });
+
+export const compileSandboxed = (code, scope) => {
+    const functionConstructors = scope.Function('return [async () => {}, function* () {}, async function* () {}]')().map(fn => Object.getPrototypeOf(fn).constructor);
+    const [AsyncFunction] = functionConstructors;
+    const snippet = new AsyncFunction('tables', 'console', `"use strict";\n${code}`);
+    [scope.Function, ...functionConstructors].forEach(constructor => lock(constructor.prototype, 'constructor', blockedEvaluation));
+    ['setTimeout', 'setInterval'].filter(name => typeof scope[name] === 'function').forEach(name => {
+        const schedule = scope[name];
+        lock(scope, name, (handler, ...rest) => (typeof handler === 'function' ? schedule(handler, ...rest) : blockedEvaluation()));
+    });
+    lock(scope, 'eval', blockedEvaluation);
+    lock(scope, 'Function', blockedEvaluation);
+    return snippet;
+};
+
+export const runInSandbox = (code, { tables = [], timeoutMs = SANDBOX_TIMEOUT_MS, createWorker, signal } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(new DOMException('The code run was cancelled.', 'AbortError')); return; }
+    const forbidden = findForbiddenSyntax(code);
+    if (forbidden) { resolve({ ok: false, error: forbidden, logs: [], durationMs: 0 }); return; }
+
+    const started = Date.now();
+    const logs = [];
+    const worker = createWorker();
+    const finish = (outcome) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        worker.terminate();
+        resolve({ logs, durationMs: Date.now() - started, ...outcome });
+    };
+    const timer = setTimeout(() => finish({ ok: false, timedOut: true, error: `Timed out after ${timeoutMs / 1000}s.` }), timeoutMs);
+    const onAbort = () => {
+        clearTimeout(timer);
+        worker.terminate();
+        reject(new DOMException('The code run was cancelled.', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort);
+    worker.onmessage = ({ data }) => {
+        if (data.type === 'log') { if (logs.length < MAX_LOG_ENTRIES) logs.push(data.entry); return; }
+        finish(data.ok ? { ok: true, result: data.result } : { ok: false, error: data.error });
+    };
+    worker.onerror = (event) => {
+        event.preventDefault?.();
+        finish({ ok: false, error: event.message || 'The sandbox failed to start.' });
+    };
+    worker.postMessage({ code, tables });
+});
+
+// Arrays of objects (or of arrays) render as a table in the chat; anything else is shown as JSON.
+export const toResultTable = (value) => {
+    if (!Array.isArray(value) || value.length === 0) return null;
+    if (value.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+        const columns = [...new Set(value.flatMap(row => Object.keys(row)))];
+        return { columns, rows: value.map(row => columns.map(c => row[c])) };
+    }
+    if (value.every(Array.isArray)) {
+        const width = Math.max(...value.map(row => row.length));
+        return { columns: Array.from({ length: width }, (_, i) => `${i + 1}`), rows: value };
+    }
+    return null;
+};
+
+export const formatLogs = (logs) => logs.map(l => (l.level === 'log' ? l.text : `[${l.level}] ${l.text}`)).join('\n');
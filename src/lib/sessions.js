@@ -0,0 +1,183 @@
+import { openDb, requestResult, transactionDone } from './db';
+import { formatLogs, toResultTable } from './sandbox';
+
+// --- Conversation Sessions ---
+// Every conversation is stored as one record: { id, title, createdAt, updatedAt, messages, memory, forkedFrom? }.
+// `memory` is the rolling summary of the turns that fell out of the planner's history window.
+const EXPORT_FORMAT = 'eap-conversation';
+const EXPORT_VERSION = 1;
+export const DEFAULT_TITLE = 'New conversation';
+export const HISTORY_WINDOW = 6; // most recent turns the planner sees verbatim
+export const MEMORY_BATCH = 4; // older turns are folded into the summary once this many have piled up
+export const EMPTY_MEMORY = { summary: '', summarizedCount: 0 };
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const createSession = ({ title = DEFAULT_TITLE, messages = [], memory = EMPTY_MEMORY, forkedFrom } = {}) => {
+    const now = Date.now();
+    return { id: newId(), title, createdAt: now, updatedAt: now, messages, memory, ...(forkedFrom ? { forkedFrom } : {}) };
+};
+
+// "What were Q3 revenue drivers in the EMEA region and..." -> "What were Q3 revenue drivers in the EMEA…"
+export const deriveTitle = (text, maxLength = 48) => {
+    const line = text.replace(/\s+/g, ' ').trim();
+    if (line.length <= maxLength) return line || DEFAULT_TITLE;
+    return `${line.slice(0, maxLength + 1).replace(/\s+\S*$/, '')}…`;
+};
+
+// Transient UI state (thinking placeholders, streaming cursors, File handles) is not persisted.
+export const toStoredMessages = (messages) => messages.filter(m => !m.thinking).map(({ streaming, image, ...message }) => ({
+    ...message,
+    ...(image ? { image: { name: image.name, type: image.type, content: image.content } } : {}),
+}));
+
+// --- Persistence ---
+export const listSessions = async () => {
+    const db = await openDb();
+    const sessions = await requestResult(db.transaction('sessions', 'readonly').objectStore('sessions').getAll());
+    return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const saveSession = async (session) => {
+    const db = await openDb();
+    const tx = db.transaction('sessions', 'readwrite');
+    tx.objectStore('sessions').put(session);
+    await transactionDone(tx);
+};
+
+export const updateSession = async (id, changes) => {
+    const db = await openDb();
+    const tx = db.transaction('sessions', 'readwrite');
+    const store = tx.objectStore('sessions');
+    const session = await requestResult(store.get(id));
+    if (session) store.put({ ...session, ...changes });
+    await transactionDone(tx);
+};
+
+export const deleteSession = async (id) => {
+    const db = await openDb();
+    const tx = db.transaction('sessions', 'readwrite');
+    tx.objectStore('sessions').delete(id);
+    await transactionDone(tx);
+};
+
+// --- Fork ---
+// A fork keeps everything up to and including `messageIndex`. The rolling memory only carries over while it
+// covers turns that are still part of the fork.
+export const forkSession = (session, messageIndex) => {
+    const messages = session.messages.slice(0, messageIndex + 1);
+    const memory = session.memory?.summarizedCount <= conversationTurns(messages).length ? session.memory : EMPTY_MEMORY;
+    return createSession({ title: `${session.title} (fork)`, messages, memory, forkedFrom: { sessionId: session.id, messageIndex } });
+};
+
+// --- Search ---
+// Every word of the query has to appear somewhere in the conversation; matching messages are returned as snippets.
+export const searchSessions = (sessions, query, { maxSnippets = 3 } = {}) => {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+    return sessions.flatMap(session => {
+        const texts = session.messages.map(messageText);
+        const haystack = [session.title, ...texts].join('\n').toLowerCase();
+        if (!terms.every(term => haystack.includes(term))) return [];
+        const matches = [];
+        texts.forEach((text, messageIndex) => {
+            const lower = text.toLowerCase();
+            const term = terms.find(t => lower.includes(t));
+            if (term && matches.length < maxSnippets) matches.push({ messageIndex, snippet: snippetAround(text, lower.indexOf(term)) });
+        });
+        return [{ session, matches }];
+    });
+};
+
+// --- Rolling Memory ---
+// Only what the user asked and the answers they saw count as turns; intermediate step outputs are left out.
+export const conversationTurns = (messages) => messages.filter(m => !m.thinking && m.parts?.[0]?.text && (m.role === 'user' || !m.step || m.finalStep));
+
+const turnLine = (m) => `${m.role === 'user' ? 'user' : (m.agent || 'model')}: ${m.parts[0].text}`;
+
+// Turns that have left the window but are not in the summary yet.
+export const pendingMemoryTurns = (messages, memory = EMPTY_MEMORY, windowSize = HISTORY_WINDOW) => {
+    const turns = conversationTurns(messages);
+    return turns.slice(memory.summarizedCount, Math.max(memory.summarizedCount, turns.length - windowSize));
+};
+
+export const buildMemoryPrompt = (summary, turns) => `You maintain the running memory of a conversation between a user and a team of AI agents.
+Merge the new turns into the existing summary. Keep facts, decisions, names, numbers, file names and open questions; drop pleasantries.
+Answer with the updated summary only, in at most 200 words.
+
+Existing summary:
+${summary || '(none yet)'}
+
+New turns:
+${turns.map(turnLine).join('\n')}
+`;
+
+// Folds pending turns into the summary once a batch has accumulated. `summarize(prompt)` returns the new summary
+// text, or null on failure, in which case the memory is left untouched and the turns stay in the history verbatim.
+export const updateMemory = async (messages, memory = EMPTY_MEMORY, summarize, { windowSize = HISTORY_WINDOW, batchSize = MEMORY_BATCH } = {}) => {
+    const pending = pendingMemoryTurns(messages, memory, windowSize);
+    if (pending.length < batchSize) return memory;
+    const summary = await summarize(buildMemoryPrompt(memory.summary, pending));
+    if (summary == null) return memory;
+    return { summary: summary.trim(), summarizedCount: memory.summarizedCount + pending.length };
+};
+
+// The planner sees the summary plus every turn that is not summarized yet, so nothing is silently dropped.
+export const buildConversationContext = (messages, memory = EMPTY_MEMORY) => {
+    const recent = conversationTurns(messages).slice(memory.summarizedCount).map(turnLine).join('\n');
+    return memory.summary ? `Summary of the earlier conversation:\n${memory.summary}\n\nRecent messages:\n${recent}` : recent;
+};
+
+// --- Export ---
+export const sessionToJson = (session) => ({ format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), session: { ...session, messages: toStoredMessages(session.messages) } });
+
+export const sessionToMarkdown = (session) => {
+    const lines = [`# ${session.title}`, '', `_Started ${new Date(session.createdAt).toLocaleString()} · exported ${new Date().toLocaleString()}_`];
+    if (session.memory?.summary) lines.push('', '> **Conversation memory:** ' + session.memory.summary.replace(/\n/g, '\n> '));
+    session.messages.filter(m => !m.thinking).forEach(m => {
+        lines.push('');
+        if (m.plan) {
+            lines.push(`## Plan${m.status ? ` (${m.status})` : ''}`, '');
+            m.plan.forEach((step, i) => lines.push(`${i + 1}. **[${step.id}] ${step.agent}**: ${step.prompt}${step.dependsOn.length > 0 ? ` _(waits for ${step.dependsOn.join(', ')})_` : ''}`));
+            return;
+        }
+        const heading = m.role === 'user' ? 'You' : [m.agent || 'Assistant', m.step && `step ${m.step.id} (${m.step.current}/${m.step.total})`].filter(Boolean).join(' · ');
+        lines.push(`## ${heading}`, '');
+        if (m.step?.task && m.step.task !== messageText(m)) lines.push(`_Task: ${m.step.task}_`, '');
+        if (m.image) lines.push(`_Attached image: ${m.image.name}_`, '');
+        lines.push(messageText(m) || '_(no output)_');
+        if (m.incomplete) lines.push('', '_Incomplete: stopped before this step finished._');
+        if (m.execution) lines.push('', ...executionToMarkdown(m.execution));
+        if (m.sources?.length > 0) {
+            lines.push('', '**Sources**', '');
+            m.sources.forEach(s => lines.push(`- ${s.label ? `[${s.label}] ` : ''}${s.url ? `[${s.citation || s.fileName}](${s.url})` : s.citation || s.fileName}${s.score != null ? ` (score ${s.score.toFixed(2)})` : ''}`));
+        }
+        if (m.grounding) lines.push('', ...groundingToMarkdown(m.grounding));
+    });
+    return `${lines.join('\n')}\n`;
+};
+
+const groundingToMarkdown = (grounding) => {
+    const flagged = grounding.claims.filter(c => c.status !== 'supported');
+    const lines = [`**Groundedness:** ${Math.round(grounding.score * 100)}% (${grounding.level}) · ${grounding.unsupported} unsupported claim${grounding.unsupported === 1 ? '' : 's'}`];
+    if (flagged.length > 0) lines.push('', ...flagged.map(c => `- _${c.status}:_ ${c.text}`));
+    return lines;
+};
+
+const executionToMarkdown = (execution) => {
+    const lines = [execution.ok ? '**Sandbox result**' : `**Sandbox run failed:** ${execution.error}`];
+    const table = execution.ok ? toResultTable(execution.result) : null;
+    const cell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    if (table) lines.push('', `| ${table.columns.map(cell).join(' | ')} |`, `| ${table.columns.map(() => '---').join(' | ')} |`, ...table.rows.map(row => `| ${row.map(cell).join(' | ')} |`));
+    else if (execution.ok && execution.result !== undefined) lines.push('', '```json', JSON.stringify(execution.result, null, 2), '```');
+    if (execution.logs?.length > 0) lines.push('', 'Console output:', '', '```', formatLogs(execution.logs), '```');
+    return lines;
+};
+
+// --- Helpers ---
+const messageText = (m) => m.parts?.[0]?.text || '';
+const snippetAround = (text, position, radius = 60) => {
+    const start = Math.max(0, position - radius);
+    const end = Math.min(text.length, position + radius);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+};
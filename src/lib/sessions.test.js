@@ -0,0 +1,91 @@
+import { EMPTY_MEMORY, buildConversationContext, createSession, deriveTitle, forkSession, pendingMemoryTurns, searchSessions, sessionToMarkdown, toStoredMessages, updateMemory } from './sessions';
+
+const user = (text) => ({ role: 'user', parts: [{ text }] });
+const answer = (text, extra = {}) => ({ role: 'model', agent: 'KnowledgeAgent', parts: [{ text }], ...extra });
+const turns = (n) => Array.from({ length: n }, (_, i) => (i % 2 === 0 ? user(`question ${i}`) : answer(`answer ${i}`)));
+
+test('derives a short title from the first question', () => {
+    expect(deriveTitle('  What changed in   the Q3 budget?  ')).toBe('What changed in the Q3 budget?');
+    expect(deriveTitle('Compare the retention policy in the 2023 handbook with the draft we received last week', 40)).toBe('Compare the retention policy in the 2023…');
+});
+
+test('drops transient UI state before storing messages', () => {
+    const stored = toStoredMessages([
+        user('hi'),
+        { id: 'x', role: 'model', agent: 'KnowledgeAgent', thinking: true },
+        answer('partial', { streaming: true, image: { name: 'a.png', type: 'image/png', content: 'AAA', fileObject: {} } }),
+    ]);
+    expect(stored).toEqual([user('hi'), answer('partial', { image: { name: 'a.png', type: 'image/png', content: 'AAA' } })]);
+});
+
+test('searches titles and messages and returns snippets', () => {
+    const budget = createSession({ title: 'Budget review', messages: [user('What drove opex in Q3?'), answer('Cloud spend rose by 12% (ERR-104 notes).')] });
+    const hiring = createSession({ title: 'Hiring', messages: [user('How many open roles?')] });
+    const results = searchSessions([budget, hiring], 'budget cloud');
+    expect(results).toHaveLength(1);
+    expect(results[0].session.id).toBe(budget.id);
+    expect(results[0].matches).toEqual([{ messageIndex: 1, snippet: 'Cloud spend rose by 12% (ERR-104 notes).' }]);
+    expect(searchSessions([budget, hiring], '   ')).toEqual([]);
+});
+
+test('forks up to a message and only keeps memory that still applies', () => {
+    const session = createSession({ title: 'Research', messages: turns(10), memory: { summary: 'older stuff', summarizedCount: 4 } });
+    const early = forkSession(session, 1);
+    expect(early.messages).toHaveLength(2);
+    expect(early.memory).toEqual(EMPTY_MEMORY);
+    expect(early.forkedFrom).toEqual({ sessionId: session.id, messageIndex: 1 });
+    const late = forkSession(session, 7);
+    expect(late.title).toBe('Research (fork)');
+    expect(late.memory.summary).toBe('older stuff');
+    expect(late.id).not.toBe(session.id);
+});
+
+test('summarizes turns that leave the window instead of dropping them', async () => {
+    const messages = [...turns(9), answer('intermediate', { step: { id: 's1' } }), answer('final', { step: { id: 's2' }, finalStep: true })];
+    expect(pendingMemoryTurns(messages, EMPTY_MEMORY, 6)).toHaveLength(4);
+    const summarize = jest.fn(async () => 'User asked questions 0-2.');
+    const memory = await updateMemory(messages, EMPTY_MEMORY, summarize, { windowSize: 6, batchSize: 4 });
+    expect(memory).toEqual({ summary: 'User asked questions 0-2.', summarizedCount: 4 });
+    expect(summarize.mock.calls[0][0]).toContain('user: question 0');
+
+    const context = buildConversationContext(messages, memory);
+    expect(context).toContain('User asked questions 0-2.');
+    expect(context).not.toContain('question 0');
+    expect(context).toContain('KnowledgeAgent: final');
+    expect(context).not.toContain('intermediate');
+
+    // Below the batch size, or when summarizing fails, the memory stays as it is
+    await expect(updateMemory(messages, memory, summarize, { windowSize: 6, batchSize: 4 })).resolves.toBe(memory);
+    await expect(updateMemory(messages, EMPTY_MEMORY, async () => null, { windowSize: 6, batchSize: 4 })).resolves.toBe(EMPTY_MEMORY);
+});
+
+test('exports plans, step outputs and sources to Markdown', () => {
+    const session = createSession({
+        title: 'Budget review',
+        messages: [
+            user('What drove opex?'),
+            { role: 'model', agent: 'Planner', status: 'completed', plan: [{ id: 's1', agent: 'KnowledgeAgent', prompt: 'find opex drivers', dependsOn: [] }, { id: 's2', agent: 'SummarizationAgent', prompt: 'summarize {{s1.output}}', dependsOn: ['s1'] }] },
+            answer('Cloud spend.', { step: { id: 's1', current: 1, total: 2, task: 'find opex drivers' }, sources: [{ fileName: 'Budget.xlsx', citation: 'Budget.xlsx › Q3!A1:F9', score: 0.734 }] }),
+        ],
+    });
+    const markdown = sessionToMarkdown(session);
+    expect(markdown).toContain('# Budget review');
+    expect(markdown).toContain('## Plan (completed)');
+    expect(markdown).toContain('2. **[s2] SummarizationAgent**: summarize {{s1.output}} _(waits for s1)_');
+    expect(markdown).toContain('## KnowledgeAgent · step s1 (1/2)');
+    expect(markdown).toContain('- Budget.xlsx › Q3!A1:F9 (score 0.73)');
+});
+
+test('exports groundedness and flagged claims to Markdown', () => {
+    const grounding = { score: 0.5, level: 'medium', unsupported: 1, claims: [{ text: 'Opex rose.', status: 'supported', citations: [1] }, { text: 'Parking is free.', status: 'unsupported', citations: [] }] };
+    const markdown = sessionToMarkdown(createSession({ title: 'Opex', messages: [answer('Opex rose. [S1] Parking is free.', { sources: [{ label: 'S1', citation: 'Budget.xlsx' }], grounding })] }));
+    expect(markdown).toContain('- [S1] Budget.xlsx');
+    expect(markdown).toContain('**Groundedness:** 50% (medium) · 1 unsupported claim\n\n- _unsupported:_ Parking is free.');
+});
+
+test('exports sandbox results as Markdown tables', () => {
+    const execution = { ok: true, code: 'return rows', result: [{ vendor: 'A|B', total: 3 }], logs: [{ level: 'warn', text: 'check' }], attempts: 1 };
+    const markdown = sessionToMarkdown(createSession({ title: 'Spend', messages: [answer('Totals below.', { agent: 'DataAnalysisAgent', execution })] }));
+    expect(markdown).toContain('| vendor | total |\n| --- | --- |\n| A\\|B | 3 |');
+    expect(markdown).toContain('[warn] check');
+});
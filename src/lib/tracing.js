@@ -0,0 +1,121 @@
+import { generateText, isAbortError, resolveAgentConfig } from './llmProviders';
+import { estimateTokens } from './chunking';
+
+// --- Execution Tracing ---
+// Every model call of a turn (memory summary, planner, agent steps, verification) is recorded as one entry:
+//   { id, agent, stepId?, provider, model, prompt, response, image?, chunkIds, startedAt, latencyMs,
+//     usage: { inputTokens, outputTokens, estimated }, cost, status: 'ok' | 'error' | 'aborted', error?, retries? }
+// `retries` lists the failed attempts before the last one when the call goes through `createResilientGenerate`.
+// A turn's entries are kept on its plan message (`message.trace`), so they are saved, forked and exported with
+// the conversation like everything else in it.
+const EXPORT_FORMAT = 'eap-trace';
+const EXPORT_VERSION = 1;
+const FREE_PROVIDERS = ['local', 'mock'];
+
+// List prices in USD per million tokens, matched on the longest model-name prefix. Models that are not listed
+// get no cost estimate.
+export const MODEL_PRICES = {
+    'gemini-2.5-pro': { input: 1.25, output: 10 },
+    'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+};
+
+export const estimateCost = ({ provider, model }, usage, prices = MODEL_PRICES) => {
+    if (FREE_PROVIDERS.includes(provider)) return 0;
+    const key = Object.keys(prices).filter(k => model?.startsWith(k)).sort((a, b) => b.length - a.length)[0];
+    return key ? (usage.inputTokens * prices[key].input + usage.outputTokens * prices[key].output) / 1e6 : null;
+};
+
+let entryCount = 0;
+const newEntryId = () => `call-${Date.now().toString(36)}-${(entryCount++).toString(36)}`;
+
+// Calls the model like `generateText` and hands the finished call to `onTrace`, also when it fails or is stopped
+// (with the text streamed so far). Providers that do not report usage (the mock, some local servers) get token
+// counts estimated from the text, marked `estimated`.
+export const tracedGenerateText = async (settings, request, { onTrace = () => {}, chunkIds = [], generate = generateText } = {}) => {
+    const config = resolveAgentConfig(settings, request.agent);
+    const startedAt = Date.now();
+    let usage = null;
+    let partial = '';
+    const retries = [];
+    const onToken = request.onToken && (delta => { partial += delta; request.onToken(delta); });
+    const onRetry = (retry) => { retries.push(retry); partial = ''; request.onRetry?.(retry); };
+    const record = (response, fields) => {
+        const tokens = usage ? { ...usage, estimated: false } : { inputTokens: estimateTokens(request.prompt), outputTokens: estimateTokens(response), estimated: true };
+        onTrace({
+            id: newEntryId(), agent: request.agent, provider: config.provider, model: config.model, prompt: request.prompt, response,
+            ...(request.image ? { image: request.image.name } : {}),
+            chunkIds, startedAt, latencyMs: Date.now() - startedAt, usage: tokens, cost: estimateCost(config, tokens), ...(retries.length > 0 ? { retries } : {}), ...fields,
+        });
+    };
+    try {
+        const text = await generate(settings, { ...request, onToken, onRetry, onUsage: reported => { usage = reported; } });
+        record(text ?? '', { status: 'ok' });
+        return text;
+    } catch (err) {
+        record(partial, { status: isAbortError(err) ? 'aborted' : 'error', error: err.message });
+        throw err;
+    }
+};
+
+// --- Totals ---
+// `durationMs` is wall-clock time from the first call's start to the last call's end, so parallel steps count once.
+const EMPTY_TOTALS = { calls: 0, errors: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0, estimated: false, durationMs: 0 };
+
+export const summarizeTrace = (entries = []) => {
+    if (entries.length === 0) return EMPTY_TOTALS;
+    const start = Math.min(...entries.map(e => e.startedAt));
+    const end = Math.max(...entries.map(e => e.startedAt + e.latencyMs));
+    return entries.reduce((totals, e) => ({
+        ...totals,
+        calls: totals.calls + 1,
+        errors: totals.errors + (e.status === 'error' ? 1 : 0),
+        inputTokens: totals.inputTokens + e.usage.inputTokens,
+        outputTokens: totals.outputTokens + e.usage.outputTokens,
+        cost: totals.cost + (e.cost ?? 0),
+        unpriced: totals.unpriced + (e.cost == null ? 1 : 0),
+        estimated: totals.estimated || e.usage.estimated,
+    }), { ...EMPTY_TOTALS, durationMs: end - start });
+};
+
+export const sessionTraceTotals = (messages) => messages.filter(m => m.trace?.length > 0).map(m => summarizeTrace(m.trace)).reduce((sum, t) => ({
+    calls: sum.calls + t.calls,
+    errors: sum.errors + t.errors,
+    inputTokens: sum.inputTokens + t.inputTokens,
+    outputTokens: sum.outputTokens + t.outputTokens,
+    cost: sum.cost + t.cost,
+    unpriced: sum.unpriced + t.unpriced,
+    estimated: sum.estimated || t.estimated,
+    durationMs: sum.durationMs + t.durationMs,
+}), EMPTY_TOTALS);
+
+// Position of each call on the turn's time axis, as fractions of the whole turn
+export const traceTimeline = (entries) => {
+    const start = Math.min(...entries.map(e => e.startedAt));
+    const span = Math.max(...entries.map(e => e.startedAt + e.latencyMs)) - start || 1;
+    return [...entries].sort((a, b) => a.startedAt - b.startedAt).map(entry => ({ entry, offset: (entry.startedAt - start) / span, width: entry.latencyMs / span }));
+};
+
+export const formatCost = (cost) => (cost === 0 ? '$0' : cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`);
+
+// --- Export ---
+// All turns of a conversation, or only `turnId`. Each turn carries the question that started it.
+export const traceToJson = ({ session, messages, turnId = null }) => {
+    const turns = messages.map((message, i) => ({ message, question: [...messages.slice(0, i)].reverse().find(m => m.role === 'user')?.parts[0].text ?? '' }))
+        .filter(({ message }) => message.trace?.length > 0 && (!turnId || message.id === turnId))
+        .map(({ message, question }) => ({ turnId: message.id, question, status: message.status, totals: summarizeTrace(message.trace), calls: message.trace }));
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        ...(session ? { session: { id: session.id, title: session.title } } : {}),
+        totals: sessionTraceTotals(turns.map(t => ({ trace: t.calls }))),
+        turns,
+    };
+};
@@ -0,0 +1,52 @@
+import { DEFAULT_LLM_SETTINGS, createMockProvider, generateText } from './llmProviders';
+import { estimateCost, formatCost, sessionTraceTotals, summarizeTrace, traceTimeline, traceToJson, tracedGenerateText } from './tracing';
+
+const settings = { ...DEFAULT_LLM_SETTINGS, defaultProvider: 'mock', agents: { Planner: { provider: 'gemini', model: 'gemini-2.5-flash-preview-05-20' } } };
+const entry = (fields) => ({ id: fields.id, agent: 'KnowledgeAgent', usage: { inputTokens: 100, outputTokens: 50, estimated: false }, cost: 0.001, status: 'ok', chunkIds: [], ...fields });
+
+test('records the prompt, response, usage, cost and chunk ids of a call', async () => {
+    const traces = [];
+    const generate = async (s, request) => { request.onUsage({ inputTokens: 1000, outputTokens: 200 }); return 'plan'; };
+    const text = await tracedGenerateText(settings, { agent: 'Planner', prompt: 'make a plan' }, { onTrace: e => traces.push(e), chunkIds: ['h:1'], generate });
+    expect(text).toBe('plan');
+    expect(traces[0]).toMatchObject({ agent: 'Planner', provider: 'gemini', prompt: 'make a plan', response: 'plan', chunkIds: ['h:1'], status: 'ok', usage: { inputTokens: 1000, outputTokens: 200, estimated: false } });
+    expect(traces[0].cost).toBeCloseTo(0.0008);
+    expect(traces[0].latencyMs).toBeGreaterThanOrEqual(0);
+});
+
+test('estimates usage when the provider reports none and traces failed calls', async () => {
+    const traces = [];
+    const mock = createMockProvider(() => 'a reply of some length');
+    await tracedGenerateText(settings, { agent: 'KnowledgeAgent', prompt: 'x'.repeat(40), onToken: () => {} }, { onTrace: e => traces.push(e), generate: (s, r) => generateText(s, r, { mock }) });
+    expect(traces[0]).toMatchObject({ response: 'a reply of some length', cost: 0, usage: { inputTokens: 10, outputTokens: 6, estimated: true } });
+    const failing = async () => { throw new Error('API Error: 500'); };
+    await expect(tracedGenerateText(settings, { agent: 'KnowledgeAgent', prompt: 'x' }, { onTrace: e => traces.push(e), generate: failing })).rejects.toThrow('API Error: 500');
+    expect(traces[1]).toMatchObject({ status: 'error', error: 'API Error: 500', response: '' });
+});
+
+test('prices models by their longest known prefix', () => {
+    const usage = { inputTokens: 1e6, outputTokens: 1e6 };
+    expect(estimateCost({ provider: 'openai', model: 'gpt-4o-mini-2024-07-18' }, usage)).toBeCloseTo(0.75);
+    expect(estimateCost({ provider: 'openai', model: 'gpt-4o' }, usage)).toBeCloseTo(12.5);
+    expect(estimateCost({ provider: 'local', model: 'llama3.1' }, usage)).toBe(0);
+    expect(estimateCost({ provider: 'openai', model: 'o9-preview' }, usage)).toBeNull();
+    expect([formatCost(0), formatCost(0.00042), formatCost(1.5)]).toEqual(['$0', '$0.0004', '$1.50']);
+});
+
+test('totals turns and the conversation, lays out the timeline and exports turns with their question', () => {
+    const trace = [entry({ id: 'a', startedAt: 1000, latencyMs: 500 }), entry({ id: 'b', startedAt: 1500, latencyMs: 1000, status: 'error', cost: null }), entry({ id: 'c', startedAt: 1600, latencyMs: 400 })];
+    expect(summarizeTrace(trace)).toMatchObject({ calls: 3, errors: 1, inputTokens: 300, outputTokens: 150, unpriced: 1, durationMs: 1500 });
+    expect(summarizeTrace(trace).cost).toBeCloseTo(0.002);
+    expect(traceTimeline(trace).map(t => [t.entry.id, t.offset, t.width])).toEqual([['a', 0, 1 / 3], ['b', 1 / 3, 2 / 3], ['c', 0.4, 0.4 / 1.5]]);
+    const messages = [
+        { role: 'user', parts: [{ text: 'First question' }] },
+        { id: 'plan-1', role: 'model', plan: [], status: 'completed', trace },
+        { role: 'user', parts: [{ text: 'Second question' }] },
+        { id: 'plan-2', role: 'model', parts: [{ text: 'No plan.' }], trace: [entry({ id: 'd', startedAt: 5000, latencyMs: 100 })] },
+    ];
+    expect(sessionTraceTotals(messages)).toMatchObject({ calls: 4, errors: 1, durationMs: 1600 });
+    const exported = traceToJson({ session: { id: 's1', title: 'Demo' }, messages, turnId: 'plan-2' });
+    expect(exported).toMatchObject({ format: 'eap-trace', version: 1, session: { id: 's1', title: 'Demo' }, totals: { calls: 1 } });
+    expect(exported.turns).toEqual([expect.objectContaining({ turnId: 'plan-2', question: 'Second question', calls: [expect.objectContaining({ id: 'd' })] })]);
+    expect(traceToJson({ messages }).turns.map(t => t.question)).toEqual(['First question', 'Second question']);
+});
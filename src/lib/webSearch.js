@@ -0,0 +1,164 @@
+import { chunkDocument } from './chunking';
+import { buildKeywordIndex, hybridSearch } from './retrieval';
+import { isAbortError } from './llmProviders';
+import { wrapUntrusted } from './guardrails';
+
+// --- Web Search ---
+// The WebSearchAgent answers only from pages it actually fetched. A search adapter turns
+// `{ query, baseUrl, apiKey, maxResults, signal }` into `[{ url, title, snippet }]`; the result pages are then
+// fetched (directly or through a proxy), reduced to their readable text and cut into passages, and the
+// passages that best match the query become the model's context and the answer's `sources`.
+// An adapter may bring its own `fetchPage(url, { signal })`, which is how the offline fixture adapter works.
+const SETTINGS_STORAGE_KEY = 'eap.searchSettings';
+const MAX_PAGE_CHARS = 20000;
+const MIN_PASSAGE_SCORE = 0.01; // passages must share at least one query term
+const SKIPPED_ELEMENTS = 'script, style, noscript, template, svg, iframe, form, nav, header, footer, aside';
+const TEXT_BLOCKS = 'p, h1, h2, h3, h4, h5, h6, li, pre, blockquote, td, th, dt, dd, figcaption';
+
+// --- Adapters ---
+const getJson = async (url, { headers = {}, signal } = {}) => {
+    const response = await fetch(url, { headers: { Accept: 'application/json', ...headers }, signal });
+    if (!response.ok) throw new Error(`Search API Error: ${response.status}`);
+    return response.json();
+};
+
+const searxngAdapter = {
+    label: 'SearXNG',
+    search: async ({ query, baseUrl, signal }) => {
+        const data = await getJson(`${trimSlash(baseUrl)}/search?q=${encodeURIComponent(query)}&format=json`, { signal });
+        return (data.results || []).map(r => ({ url: r.url, title: r.title, snippet: r.content }));
+    },
+};
+
+const braveAdapter = {
+    label: 'Brave Search',
+    search: async ({ query, baseUrl, apiKey, maxResults, signal }) => {
+        const data = await getJson(`${trimSlash(baseUrl)}/web/search?q=${encodeURIComponent(query)}&count=${maxResults}`, { headers: { 'X-Subscription-Token': apiKey }, signal });
+        return (data.web?.results || []).map(r => ({ url: r.url, title: r.title, snippet: r.description }));
+    },
+};
+
+// Any endpoint that returns `[{ url, title, snippet }]` or `{ results: [...] }`, e.g. an intranet search or a local
+// fixture server. `{query}` in the URL is replaced by the query; otherwise `?q=` is appended.
+const customAdapter = {
+    label: 'Custom endpoint',
+    search: async ({ query, baseUrl, apiKey, signal }) => {
+        const url = baseUrl.includes('{query}') ? baseUrl.replace('{query}', encodeURIComponent(query)) : `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}q=${encodeURIComponent(query)}`;
+        const data = await getJson(url, { headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, signal });
+        return (Array.isArray(data) ? data : data.results || []).map(r => ({ url: r.url || r.link, title: r.title || r.name, snippet: r.snippet || r.content || r.description }));
+    },
+};
+
+// Offline adapter for tests and demos. `results` is the result list, or a function of the search request that
+// returns it; `pages` maps a URL to its HTML, and URLs without a page fail to fetch.
+export const createFixtureAdapter = ({ results = [], pages = {} } = {}) => ({
+    label: 'Fixture (offline)',
+    search: async (request) => (typeof results === 'function' ? results(request) : results),
+    fetchPage: async (url) => {
+        if (!(url in pages)) throw new Error('HTTP 404');
+        return extractReadableText(pages[url]);
+    },
+});
+
+export const SEARCH_ADAPTERS = {
+    searxng: searxngAdapter,
+    brave: braveAdapter,
+    custom: customAdapter,
+};
+
+// --- Settings ---
+export const DEFAULT_SEARCH_SETTINGS = {
+    adapter: 'searxng',
+    adapters: {
+        searxng: { baseUrl: 'http://localhost:8888', apiKey: '' },
+        brave: { baseUrl: 'https://api.search.brave.com/res/v1', apiKey: process.env.REACT_APP_BRAVE_API_KEY || '' },
+        custom: { baseUrl: 'http://localhost:4010/search?q={query}', apiKey: '' },
+    },
+    maxResults: 5,
+    // Most sites do not allow cross-origin reads, so pages are usually fetched through a proxy, e.g. `http://localhost:8080/?url={url}`
+    pageProxy: '',
+};
+
+export const MAX_RESULTS_LIMITS = { min: 1, max: 10 };
+
+export const normalizeSearchSettings = (settings) => {
+    const value = settings.maxResults === '' || settings.maxResults == null ? NaN : Number(settings.maxResults);
+    const { min, max } = MAX_RESULTS_LIMITS;
+    return { ...settings, maxResults: Number.isFinite(value) ? Math.min(max, Math.max(min, Math.round(value))) : DEFAULT_SEARCH_SETTINGS.maxResults };
+};
+
+export const loadSearchSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null');
+        if (!stored) return DEFAULT_SEARCH_SETTINGS;
+        const adapters = { ...DEFAULT_SEARCH_SETTINGS.adapters };
+        Object.entries(stored.adapters || {}).forEach(([name, value]) => { adapters[name] = { ...adapters[name], ...value }; });
+        return normalizeSearchSettings({ ...DEFAULT_SEARCH_SETTINGS, ...stored, adapters });
+    } catch (err) { console.error('Failed to load search settings:', err); return DEFAULT_SEARCH_SETTINGS; }
+};
+export const saveSearchSettings = (settings) => localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+
+// --- Page Fetching ---
+export const isWebUrl = (url) => {
+    try { return ['http:', 'https:'].includes(new URL(url).protocol); } catch { return false; }
+};
+
+// Keeps the main content of an HTML page: scripts, navigation and page furniture are dropped, and
+// <article> or <main> is preferred over the whole body.
+export const extractReadableText = (html) => {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    doc.querySelectorAll(SKIPPED_ELEMENTS).forEach(el => el.remove());
+    const root = doc.querySelector('article') || doc.querySelector('main, [role="main"]') || doc.body;
+    const blocks = root ? [...root.querySelectorAll(TEXT_BLOCKS)].filter(el => !el.parentElement.closest(TEXT_BLOCKS)) : [];
+    const paragraphs = (blocks.length > 0 ? blocks : [root].filter(Boolean)).map(el => el.textContent.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    return { title: doc.title.trim(), text: paragraphs.join('\n\n').slice(0, MAX_PAGE_CHARS) };
+};
+
+export const fetchPage = async (url, { pageProxy = '', signal } = {}) => {
+    const response = await fetch(pageProxy ? pageProxy.replace('{url}', encodeURIComponent(url)) : url, { signal });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const body = await response.text();
+    const type = response.headers?.get('content-type') || '';
+    if (type.includes('html') || (!type && /^\s*</.test(body))) return extractReadableText(body);
+    return { title: '', text: body.trim().slice(0, MAX_PAGE_CHARS) };
+};
+
+// Searches and fetches the result pages in parallel. A page that cannot be fetched falls back to its search snippet.
+export const searchWeb = async (settings, query, { signal, adapters = SEARCH_ADAPTERS } = {}) => {
+    const adapter = adapters[settings.adapter];
+    if (!adapter) throw new Error(`Unknown search adapter "${settings.adapter}"`);
+    const results = await adapter.search({ ...settings.adapters?.[settings.adapter], query, maxResults: settings.maxResults, signal });
+    const seen = new Set();
+    const unique = results.filter(r => isWebUrl(r.url) && !seen.has(r.url) && seen.add(r.url)).slice(0, settings.maxResults);
+    const load = adapter.fetchPage || (url => fetchPage(url, { pageProxy: settings.pageProxy, signal }));
+    const pages = await Promise.all(unique.map(async result => {
+        try {
+            const page = await load(result.url, { signal });
+            return { ...result, title: result.title || page.title || result.url, text: page.text || result.snippet || '', fetched: !!page.text };
+        } catch (err) {
+            if (isAbortError(err)) throw err;
+            return { ...result, title: result.title || result.url, text: result.snippet || '', fetched: false, error: err.message };
+        }
+    }));
+    return pages.filter(p => p.text);
+};
+
+// --- Grounding ---
+// Pages are chunked like uploaded documents and ranked on BM25 keyword scores against the query.
+export const selectPassages = (query, pages, { topK = 5 } = {}) => {
+    const chunks = pages.flatMap((page, p) => chunkDocument([{ kind: 'text', text: page.text, meta: {} }]).map((c, i) => ({ id: `${p}:${i}`, docHash: p, fileName: page.url, chunk: c.text, meta: {}, page })));
+    if (chunks.length === 0) return [];
+    return hybridSearch({ query, queryEmbedding: null, chunks, index: buildKeywordIndex(chunks), options: { topK, semanticWeight: 0, minScore: MIN_PASSAGE_SCORE } });
+};
+
+// Sources for `_SourceList`, numbered in the order they are given to the model.
+export const toWebSources = (passages) => passages.map((p, i) => ({ fileName: p.page.title, url: p.page.url, citation: `[${i + 1}] ${p.page.title}`, chunk: p.chunk, score: p.score, signals: p.signals, ...(p.injection && { injection: p.injection }) }));
+
+export const buildWebContext = (query, sources) => `--- WEB PAGES ---
+${wrapUntrusted(sources.map((s, i) => `Source [${i + 1}]: ${s.fileName} (${s.url})\nContent:\n${s.chunk}`).join('\n\n---\n\n'), 'fetched web pages')}
+--- END WEB PAGES ---
+
+Query: "${query}"`;
+
+// --- Helpers ---
+const trimSlash = (url = '') => url.replace(/\/+$/, '');
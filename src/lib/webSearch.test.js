@@ -0,0 +1,55 @@
+import { DEFAULT_SEARCH_SETTINGS, SEARCH_ADAPTERS, buildWebContext, createFixtureAdapter, extractReadableText, fetchPage, normalizeSearchSettings, searchWeb, selectPassages, toWebSources } from './webSearch';
+
+const ARTICLE = `<html><head><title>Solar Report 2024</title><script>track()</script></head><body>
+<nav><a href="/">Home</a> <a href="/news">News</a></nav>
+<article><h1>Solar capacity in 2024</h1><p>Global solar capacity grew by 30 percent in 2024.</p><p>China installed most of the new <b>panels</b>.</p></article>
+<footer>Copyright</footer></body></html>`;
+const RESULTS = [
+    { url: 'https://energy.example/solar', title: 'Solar Report 2024', snippet: 'Solar grew.' },
+    { url: 'https://energy.example/solar', title: 'Duplicate', snippet: '' },
+    { url: 'file:///etc/hosts', title: 'Local file', snippet: 'nope' },
+    { url: 'https://wind.example/offline', title: 'Wind news', snippet: 'Offshore wind capacity stalled in 2024.' },
+];
+const fixture = (results = RESULTS) => createFixtureAdapter({ results, pages: { 'https://energy.example/solar': ARTICLE } });
+const settings = { ...DEFAULT_SEARCH_SETTINGS, adapter: 'fixture' };
+
+afterEach(() => { jest.restoreAllMocks(); });
+
+test('extracts the readable text of a page', () => {
+    expect(extractReadableText(ARTICLE)).toEqual({ title: 'Solar Report 2024', text: 'Solar capacity in 2024\n\nGlobal solar capacity grew by 30 percent in 2024.\n\nChina installed most of the new panels.' });
+    expect(extractReadableText('<body><div>Plain <span>text</span></div></body>').text).toBe('Plain text');
+});
+
+test('queries SearXNG and fetches pages through the proxy', async () => {
+    const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValueOnce({ ok: true, json: async () => ({ results: [{ url: 'https://a.example', title: 'A', content: 'snippet' }] }) })
+        .mockResolvedValueOnce({ ok: true, headers: new Map([['content-type', 'text/html']]), text: async () => ARTICLE });
+    const results = await SEARCH_ADAPTERS.searxng.search({ query: 'solar 2024', baseUrl: 'http://search.local/' });
+    expect(results).toEqual([{ url: 'https://a.example', title: 'A', snippet: 'snippet' }]);
+    expect(fetchMock.mock.calls[0][0]).toBe('http://search.local/search?q=solar%202024&format=json');
+    const page = await fetchPage('https://a.example/x?y=1', { pageProxy: 'http://proxy.local/?url={url}' });
+    expect(fetchMock.mock.calls[1][0]).toBe('http://proxy.local/?url=https%3A%2F%2Fa.example%2Fx%3Fy%3D1');
+    expect(page.title).toBe('Solar Report 2024');
+});
+
+test('searches offline with a fixture adapter and falls back to snippets', async () => {
+    const results = jest.fn(() => RESULTS);
+    const pages = await searchWeb(settings, 'solar capacity', { adapters: { fixture: fixture(results) } });
+    expect(results).toHaveBeenCalledWith(expect.objectContaining({ query: 'solar capacity', maxResults: 5 }));
+    expect(pages.map(p => [p.url, p.fetched])).toEqual([['https://energy.example/solar', true], ['https://wind.example/offline', false]]);
+    expect(pages[1]).toMatchObject({ text: 'Offshore wind capacity stalled in 2024.', error: 'HTTP 404' });
+});
+
+test('grounds answers in the passages that match the query, with real URLs', async () => {
+    const pages = await searchWeb(settings, 'solar panels', { adapters: { fixture: fixture() } });
+    const sources = toWebSources(selectPassages('solar panels', pages));
+    expect(sources).toHaveLength(1);
+    expect(sources[0]).toMatchObject({ url: 'https://energy.example/solar', citation: '[1] Solar Report 2024' });
+    expect(buildWebContext('solar panels', sources)).toContain('Source [1]: Solar Report 2024 (https://energy.example/solar)');
+    expect(selectPassages('tidal power', pages)).toEqual([]);
+});
+
+test('keeps the number of results to fetch between 1 and 10', () => {
+    expect(normalizeSearchSettings({ ...DEFAULT_SEARCH_SETTINGS, maxResults: '50' }).maxResults).toBe(10);
+    expect(normalizeSearchSettings({ ...DEFAULT_SEARCH_SETTINGS, maxResults: 0 }).maxResults).toBe(1);
+    expect(normalizeSearchSettings({ ...DEFAULT_SEARCH_SETTINGS, maxResults: '' }).maxResults).toBe(DEFAULT_SEARCH_SETTINGS.maxResults);
+});
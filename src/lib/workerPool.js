@@ -0,0 +1,67 @@
+// --- Worker Pool ---
+// Spreads jobs over a fixed set of workers speaking the `{ id, type, ... }` protocol of
+// src/workers/ingest.worker.js. Each job resolves with the worker's result, reports progress
+// through `onProgress`, and can be cancelled by id.
+export class JobCancelledError extends Error {
+    constructor() {
+        super('Cancelled');
+        this.name = 'JobCancelledError';
+    }
+}
+
+export const createWorkerPool = (createWorker, size) => {
+    const slots = Array.from({ length: size }, () => ({ worker: null, active: 0 }));
+    const jobs = new Map();
+    let nextId = 1;
+
+    const start = (slot) => {
+        slot.worker = createWorker();
+        slot.worker.onmessage = ({ data }) => {
+            const job = jobs.get(data.id);
+            if (!job) return;
+            if (data.type === 'progress') { job.onProgress(data.progress); return; }
+            jobs.delete(data.id);
+            slot.active--;
+            if (data.type === 'result') job.resolve(data.result);
+            else job.reject(data.cancelled ? new JobCancelledError() : new Error(data.error));
+        };
+        // A crashed worker fails its jobs and is replaced, so later jobs on this slot still run
+        slot.worker.onerror = (event) => {
+            event.preventDefault?.();
+            jobs.forEach((job, id) => {
+                if (job.slot !== slot) return;
+                jobs.delete(id);
+                job.reject(new Error(event.message || 'Worker crashed'));
+            });
+            slot.active = 0;
+            slot.worker.terminate();
+            start(slot);
+        };
+    };
+    slots.forEach(start);
+
+    const post = (slot, type, payload, { onProgress = () => {}, transfer = [] } = {}) => {
+        const id = nextId++;
+        const promise = new Promise((resolve, reject) => jobs.set(id, { resolve, reject, onProgress, slot }));
+        slot.active++;
+        slot.worker.postMessage({ ...payload, id, type }, transfer);
+        return { id, promise };
+    };
+
+    return {
+        size,
+        // Runs a job on the least busy worker.
+        run: (type, payload, options) => post(slots.reduce((a, b) => (b.active < a.active ? b : a)), type, payload, options),
+        // Runs the same job on every worker, e.g. to load the model everywhere.
+        broadcast: (type, payload, options) => Promise.all(slots.map(slot => post(slot, type, payload, options).promise)),
+        cancel: (id) => {
+            const job = jobs.get(id);
+            if (job) job.slot.worker.postMessage({ type: 'cancel', jobId: id });
+        },
+        terminate: () => {
+            slots.forEach(slot => slot.worker.terminate());
+            jobs.forEach(job => job.reject(new JobCancelledError()));
+            jobs.clear();
+        },
+    };
+};
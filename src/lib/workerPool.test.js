@@ -0,0 +1,56 @@
+import { createWorkerPool, JobCancelledError } from './workerPool';
+import { fakeWorkerFactory } from '../testing/fakeWorker';
+
+const setup = (size = 2) => {
+    const { workers, createWorker } = fakeWorkerFactory();
+    return { pool: createWorkerPool(createWorker, size), workers };
+};
+
+test('spreads jobs over the least busy workers and reports progress', async () => {
+    const { pool, workers } = setup();
+    const onProgress = jest.fn();
+    const first = pool.run('ingest', { name: 'a.pdf' }, { onProgress });
+    const second = pool.run('ingest', { name: 'b.pdf' });
+    expect(workers.map(w => w.messages.length)).toEqual([1, 1]);
+
+    workers[0].reply({ id: first.id, type: 'progress', progress: { stage: 'parsing', pagesParsed: 1, totalPages: 3 } });
+    expect(onProgress).toHaveBeenCalledWith({ stage: 'parsing', pagesParsed: 1, totalPages: 3 });
+
+    workers[0].reply({ id: first.id, type: 'result', result: 'done' });
+    workers[1].reply({ id: second.id, type: 'error', error: 'Broken PDF' });
+    await expect(first.promise).resolves.toBe('done');
+    await expect(second.promise).rejects.toThrow('Broken PDF');
+});
+
+test('cancels a job on the worker that runs it', async () => {
+    const { pool, workers } = setup();
+    workers[0].messages.length = 0;
+    const job = pool.run('ingest', {});
+    pool.cancel(job.id);
+    expect(workers[0].messages[1]).toEqual({ type: 'cancel', jobId: job.id });
+    workers[0].reply({ id: job.id, type: 'error', error: 'Cancelled', cancelled: true });
+    await expect(job.promise).rejects.toBeInstanceOf(JobCancelledError);
+});
+
+test('rejects outstanding jobs when the pool is terminated', async () => {
+    const { pool, workers } = setup(1);
+    const job = pool.run('embed', { texts: ['x'] });
+    pool.terminate();
+    expect(workers[0].terminated).toBe(true);
+    await expect(job.promise).rejects.toBeInstanceOf(JobCancelledError);
+});
+
+test('replaces a crashed worker and keeps running jobs on its slot', async () => {
+    const { pool, workers } = setup(1);
+    const job = pool.run('ingest', {});
+    const crashed = workers[0];
+    crashed.onerror({ message: 'Out of memory' });
+    await expect(job.promise).rejects.toThrow('Out of memory');
+    expect(crashed.terminated).toBe(true);
+
+    const next = pool.run('embed', { texts: ['x'] });
+    expect(workers).toHaveLength(2);
+    expect(crashed.messages).toHaveLength(1);
+    workers[1].reply({ id: next.id, type: 'result', result: 'ok' });
+    await expect(next.promise).resolves.toBe('ok');
+});
@@ -0,0 +1,19 @@
+// --- Fake Worker ---
+// Stand-in for a Web Worker in tests: records posted messages and lets the test reply. `respond(message)` may
+// return a reply that is sent back on the next tick, for workers that should answer on their own.
+export class FakeWorker {
+    constructor(respond = () => undefined) { this.messages = []; this.terminated = false; this.respond = respond; }
+    postMessage(message) {
+        this.messages.push(message);
+        const data = this.respond(message);
+        if (data !== undefined) setTimeout(() => this.reply(data), 0);
+    }
+    reply(data) { this.onmessage({ data }); }
+    terminate() { this.terminated = true; }
+}
+
+// A `createWorker` factory that keeps every worker it made in `workers`.
+export const fakeWorkerFactory = (respond) => {
+    const workers = [];
+    return { workers, createWorker: () => { const w = new FakeWorker(respond); workers.push(w); return w; } };
+};
@@ -0,0 +1,9 @@
+import { FakeWorker } from '../../testing/fakeWorker';
+
+// Jest cannot load the real module (`import.meta.url`). The ingest workers report the model as loaded and leave
+// other jobs pending; sandbox runs never finish.
+export const createIngestWorker = () => new FakeWorker(message => (message.type === 'warmup' ? { id: message.id, type: 'result', result: null } : undefined));
+
+export const createSandboxWorker = () => new FakeWorker();
+
+export const defaultPoolSize = () => 1;
@@ -0,0 +1,7 @@
+// Kept apart from the components so bundler-specific worker URLs stay in one place.
+export const createIngestWorker = () => new Worker(new URL('./ingest.worker.js', import.meta.url), { type: 'module' });
+
+// A fresh worker per code run, so a runaway snippet can simply be terminated.
+export const createSandboxWorker = () => new Worker(new URL('./sandbox.worker.js', import.meta.url), { type: 'module' });
+
+export const defaultPoolSize = () => Math.max(1, Math.min(2, (navigator.hardwareConcurrency || 2) - 1));
@@ -0,0 +1,76 @@
+/* eslint-disable no-restricted-globals */
+import { parseDocument } from '../lib/documentParsing';
+import { chunkDocument } from '../lib/chunking';
+
+// --- Ingestion Worker ---
+// Parses, chunks and embeds documents off the main thread, and embeds search queries.
+// Messages in:  { id, type: 'warmup' | 'embed' | 'ingest' | 'cancel', ... }
+// Messages out: { id, type: 'progress' | 'result' | 'error', ... }
+const EMBEDDING_BATCH_SIZE = 16;
+const runningJobs = new Set();
+const cancelledJobs = new Set();
+let extractorPromise = null;
+
+class JobCancelledError extends Error {
+    constructor() { super('Cancelled'); this.name = 'JobCancelledError'; }
+}
+
+const getExtractor = (onProgress) => {
+    if (!extractorPromise) {
+        extractorPromise = import('https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.1').then(({ pipeline, env }) => {
+            env.allowLocalModels = false;
+            return pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2', { progress_callback: p => { if (p.progress != null) onProgress(p.progress); } });
+        });
+        extractorPromise.catch(() => { extractorPromise = null; });
+    }
+    return extractorPromise;
+};
+
+const embed = async (texts) => {
+    const extractor = await getExtractor(() => {});
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    const dimension = output.dims[output.dims.length - 1];
+    return texts.map((_, i) => output.data.slice(i * dimension, (i + 1) * dimension));
+};
+
+const ingest = async (id, { arrayBuffer, type, ocr }) => {
+    const checkCancelled = () => { if (cancelledJobs.has(id)) throw new JobCancelledError(); };
+    const progress = (update) => self.postMessage({ id, type: 'progress', progress: update });
+
+    progress({ stage: 'parsing' });
+    const { textContent, sections } = await parseDocument(arrayBuffer, { type, ocr, onProgress: ({ pagesParsed, totalPages, ocrPage }) => { checkCancelled(); progress({ stage: 'parsing', pagesParsed, totalPages, ocrPage }); } });
+    checkCancelled();
+
+    const chunks = chunkDocument(sections);
+    const embedded = [];
+    progress({ stage: 'embedding', chunksEmbedded: 0, totalChunks: chunks.length });
+    for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+        const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+        const embeddings = await embed(batch.map(c => c.text));
+        checkCancelled();
+        batch.forEach((c, j) => embedded.push({ ...c, embedding: embeddings[j] }));
+        progress({ stage: 'embedding', chunksEmbedded: embedded.length, totalChunks: chunks.length });
+    }
+    // Spreadsheet tables are kept as parsed so the data analysis agent can compute over them
+    return { textContent, chunks: embedded, tables: sections.filter(s => s.kind === 'table') };
+};
+
+self.onmessage = async ({ data }) => {
+    const { id, type } = data;
+    // Cancels for jobs that already finished (or never arrived) are dropped so the set cannot grow
+    if (type === 'cancel') { if (runningJobs.has(data.jobId)) cancelledJobs.add(data.jobId); return; }
+    runningJobs.add(id);
+    try {
+        let result;
+        if (type === 'warmup') { await getExtractor(p => self.postMessage({ id, type: 'progress', progress: { stage: 'loading', percent: p } })); result = true; }
+        else if (type === 'embed') result = await embed(data.texts);
+        else if (type === 'ingest') result = await ingest(id, data);
+        else throw new Error(`Unknown job type "${type}"`);
+        self.postMessage({ id, type: 'result', result });
+    } catch (err) {
+        self.postMessage({ id, type: 'error', error: err.message, cancelled: err instanceof JobCancelledError });
+    } finally {
+        runningJobs.delete(id);
+        cancelledJobs.delete(id);
+    }
+};
@@ -0,0 +1,37 @@
+/* eslint-disable no-restricted-globals */
+import { compileSandboxed } from '../lib/sandbox';
+
+// --- Sandbox Worker ---
+// Runs a single snippet of model-written JavaScript and is terminated by src/lib/sandbox.js afterwards.
+// Messages in:  { code, tables }
+// Messages out: { type: 'log', entry: { level, text } } while running, then { type: 'done', ok, result | error }
+// Network and storage APIs are removed before any code runs, and `eval` and the function constructors once the
+// snippet is compiled, so it cannot build an `import()` at run time.
+const BLOCKED_GLOBALS = ['fetch', 'XMLHttpRequest', 'WebSocket', 'WebSocketStream', 'EventSource', 'WebTransport', 'importScripts', 'indexedDB', 'caches', 'Worker', 'SharedWorker', 'BroadcastChannel'];
+BLOCKED_GLOBALS.forEach(name => {
+    try { Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false }); }
+    catch { /* not available in this browser */ }
+});
+
+const formatValue = (value) => {
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) return `${value.name}: ${value.message}`;
+    try { return JSON.stringify(value, null, 2) ?? String(value); } catch { return String(value); }
+};
+
+// Results cross back to the page as plain JSON data
+const toPlainData = (value) => {
+    if (value === undefined) return undefined;
+    try { return JSON.parse(JSON.stringify(value)); } catch { return String(value); }
+};
+
+self.onmessage = async ({ data: { code, tables } }) => {
+    const capture = (level) => (...args) => self.postMessage({ type: 'log', entry: { level, text: args.map(formatValue).join(' ') } });
+    const sandboxConsole = { log: capture('log'), info: capture('info'), warn: capture('warn'), error: capture('error'), debug: capture('debug'), table: capture('table') };
+    try {
+        const result = await compileSandboxed(code, self)(tables, sandboxConsole);
+        self.postMessage({ type: 'done', ok: true, result: toPlainData(result) });
+    } catch (err) {
+        self.postMessage({ type: 'done', ok: false, error: err instanceof Error ? `${err.name}: ${err.message}` : `Uncaught ${formatValue(err)}` });
+    }
+};